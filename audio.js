@@ -0,0 +1,89 @@
+// Florence's Games - Audio Engine
+// One master bus for every game, so a flurry of presses can never stack into
+// a loud, clipping roar. Each sound is a voice: it builds its own nodes as
+// before, then connects to voiceOutput() instead of the destination.
+//   voices -> ducking gain -> compressor -> limiter -> destination
+// Only MAX_VOICES play at once (a new one steals the oldest), and once more
+// than DUCK_START overlap the whole bus is turned down to make room.
+'use strict';
+
+const MAX_VOICES = 12;
+const DUCK_START = 4;
+const DUCK_FLOOR = 0.4;   // never duck below this share of full volume
+const DUCK_TIME = 0.05;   // seconds, time constant for ducking changes
+const STEAL_FADE = 0.03;  // seconds to fade out a stolen voice
+
+let audioCtx = null;
+let audioBus = null;
+let voices = [];
+
+// Safe to call on every key press: creates the context on the first
+// interaction and wakes it if the browser suspended it
+function initAudio() {
+  if (audioCtx) {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    return;
+  }
+  audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+
+  const duck = audioCtx.createGain();
+
+  const compressor = audioCtx.createDynamicsCompressor();
+  compressor.threshold.value = -24;
+  compressor.knee.value = 12;
+  compressor.ratio.value = 4;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.25;
+
+  // A fast, hard compressor as a brick-wall limiter a few dB under full scale
+  const limiter = audioCtx.createDynamicsCompressor();
+  limiter.threshold.value = -6;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.1;
+
+  duck.connect(compressor);
+  compressor.connect(limiter);
+  limiter.connect(audioCtx.destination);
+  audioBus = { duck, compressor, limiter };
+}
+
+// Returns the node a new sound connects to. duration is how long the sound
+// lasts in seconds, so the voice can be counted until it ends.
+function voiceOutput(duration) {
+  dropFinishedVoices();
+  while (voices.length >= MAX_VOICES) stealVoice(voices[0]);
+
+  const output = audioCtx.createGain();
+  output.connect(audioBus.duck);
+  voices.push({ output, ends: audioCtx.currentTime + duration });
+  updateDucking();
+  setTimeout(() => {
+    dropFinishedVoices();
+    updateDucking();
+  }, duration * 1000 + 50);
+  return output;
+}
+
+function stealVoice(voice) {
+  const now = audioCtx.currentTime;
+  voice.output.gain.setValueAtTime(voice.output.gain.value, now);
+  voice.output.gain.linearRampToValueAtTime(0, now + STEAL_FADE);
+  setTimeout(() => voice.output.disconnect(), STEAL_FADE * 1000 + 20);
+  voices = voices.filter(v => v !== voice);
+}
+
+function dropFinishedVoices() {
+  const now = audioCtx.currentTime;
+  for (const voice of voices) {
+    if (voice.ends <= now) voice.output.disconnect();
+  }
+  voices = voices.filter(v => v.ends > now);
+}
+
+function updateDucking() {
+  const count = voices.length;
+  const target = count <= DUCK_START ? 1 : Math.max(DUCK_FLOOR, DUCK_START / count);
+  audioBus.duck.gain.setTargetAtTime(target, audioCtx.currentTime, DUCK_TIME);
+}
@@ -0,0 +1,400 @@
+// Florence's Games - Parade Characters
+// The animals in World's Character Parade, described as data: a body shape,
+// colours, a few parts, a way of walking and a sound. drawCharacter() draws
+// any definition, so new animals need no new code, and a grown-up can add
+// their own as JSON on the settings page.
+// Needs settings.js and themes.js.
+'use strict';
+
+// A definition:
+//   name          what the settings page calls it
+//   body          key of BODY_SHAPES
+//   bodyColour    any CSS colour; bellyColour and accentColour too
+//   feetColour    optional, defaults to bodyColour
+//   ears          'none' | 'little' | 'long' | 'floppy' | 'pointy' | 'big' | 'bumps' | 'stem'
+//   nose          'none' | 'beak' | 'bill' | 'snout' | 'button' | 'trunk'
+//   tail          'none' | 'curly' | 'long' | 'fluffy' | 'tuft'
+//   markings      'none' | 'stripes' | 'spots' | 'ribs', in the accent colour
+//   walk          key of WALK_STYLES
+//   sound         optional { wave, from, to, length, repeat }: a slide from
+//                 `from` to `to` Hz over `length` seconds, played `repeat` times
+const CHARACTER_TYPES = [
+  {
+    name: 'penguin', body: 'round', bodyColour: '#1A237E', bellyColour: '#FFF', accentColour: '#FF9800',
+    feetColour: '#FF9800', nose: 'beak', walk: 'waddle',
+    sound: { wave: 'square', from: 700, to: 500, length: 0.12, repeat: 2 },
+  },
+  {
+    name: 'pig', body: 'round', bodyColour: '#F8BBD0', bellyColour: '#FCE4EC', accentColour: '#E91E63',
+    ears: 'little', nose: 'snout', tail: 'curly', walk: 'trot',
+    sound: { wave: 'sawtooth', from: 220, to: 160, length: 0.2, repeat: 2 },
+  },
+  {
+    name: 'bunny', body: 'round', bodyColour: '#8D6E63', bellyColour: '#FFF', accentColour: '#F48FB1',
+    ears: 'long', nose: 'button', tail: 'fluffy', walk: 'hop',
+    sound: { wave: 'sine', from: 900, to: 1300, length: 0.1 },
+  },
+  {
+    name: 'puppy', body: 'round', bodyColour: '#FF8A65', bellyColour: '#FFF3E0', accentColour: '#5D4037',
+    ears: 'floppy', nose: 'button', tail: 'long', walk: 'trot',
+    sound: { wave: 'sawtooth', from: 350, to: 200, length: 0.15, repeat: 2 },
+  },
+  {
+    name: 'cat', body: 'round', bodyColour: '#90A4AE', bellyColour: '#ECEFF1', accentColour: '#546E7A',
+    ears: 'pointy', nose: 'button', tail: 'long', markings: 'stripes', walk: 'trot',
+    sound: { wave: 'triangle', from: 800, to: 500, length: 0.4 },
+  },
+  {
+    name: 'elephant', body: 'wide', bodyColour: '#9E9E9E', bellyColour: '#BDBDBD', accentColour: '#F8BBD0',
+    ears: 'big', nose: 'trunk', tail: 'long', walk: 'waddle',
+    sound: { wave: 'sawtooth', from: 300, to: 600, length: 0.45 },
+  },
+  {
+    name: 'duck', body: 'tall', bodyColour: '#FFEB3B', bellyColour: '#FFF9C4', accentColour: '#FF9800',
+    feetColour: '#FF9800', nose: 'bill', tail: 'tuft', walk: 'waddle',
+    sound: { wave: 'square', from: 450, to: 320, length: 0.12, repeat: 2 },
+  },
+  {
+    name: 'frog', body: 'wide', bodyColour: '#66BB6A', bellyColour: '#C5E1A5', accentColour: '#2E7D32',
+    ears: 'bumps', markings: 'spots', walk: 'hop',
+    sound: { wave: 'square', from: 180, to: 260, length: 0.1, repeat: 2 },
+  },
+];
+
+// Half-width and half-height of the body, in units of the character's size
+const BODY_SHAPES = {
+  round: { w: 1, h: 1.2 },
+  tall: { w: 0.8, h: 1.25 },
+  wide: { w: 1.2, h: 1.05 },
+};
+
+// step is how far the walk cycle moves each frame, bounce how high it goes
+// in pixels, tilt how far it rocks side to side in radians
+const WALK_STYLES = {
+  trot: { step: 0.15, bounce: 10, tilt: 0 },
+  waddle: { step: 0.2, bounce: 4, tilt: 0.15 },
+  hop: { step: 0.09, bounce: 24, tilt: 0 },
+};
+
+const CHARACTER_PARTS = {
+  ears: ['none', 'little', 'long', 'floppy', 'pointy', 'big', 'bumps', 'stem'],
+  nose: ['none', 'beak', 'bill', 'snout', 'button', 'trunk'],
+  tail: ['none', 'curly', 'long', 'fluffy', 'tuft'],
+  markings: ['none', 'stripes', 'spots', 'ribs'],
+};
+
+const CHARACTER_WAVES = ['sine', 'square', 'triangle', 'sawtooth'];
+const MAX_CUSTOM_CHARACTERS = 20;
+
+// Everyone who can join the parade right now
+function paradeCharacters() {
+  return CHARACTER_TYPES.concat(settings.customCharacters, themed('paradeCharacters', []));
+}
+
+function walkStyle(character) {
+  return WALK_STYLES[character.walk] || WALK_STYLES.trot;
+}
+
+// ===== PARENT DEFINITIONS =====
+function isColour(value) {
+  if (typeof value !== 'string') return false;
+  if (window.CSS && CSS.supports) return CSS.supports('color', value);
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+function clampNumber(value, min, max, fallback) {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+// Checks one definition and fills in the parts it leaves out. Throws an
+// Error saying what's wrong, in words a grown-up can act on.
+function checkCharacter(def) {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    throw new Error('Each character should be an object in { curly brackets }.');
+  }
+  const name = typeof def.name === 'string' ? def.name.trim().slice(0, 20) : '';
+  if (!name) throw new Error('Each character needs a "name".');
+  const character = { name };
+
+  character.body = def.body === undefined ? 'round' : def.body;
+  if (!BODY_SHAPES[character.body]) {
+    throw new Error(`${name}: "body" should be one of ${Object.keys(BODY_SHAPES).join(', ')}.`);
+  }
+  for (const key of ['bodyColour', 'bellyColour', 'accentColour', 'feetColour']) {
+    if (def[key] === undefined && key !== 'bodyColour') continue;
+    if (!isColour(def[key])) throw new Error(`${name}: "${key}" should be a colour like "#FF9800".`);
+    character[key] = def[key];
+  }
+  character.bellyColour = character.bellyColour || '#FFF';
+  character.accentColour = character.accentColour || '#000';
+  for (const [part, options] of Object.entries(CHARACTER_PARTS)) {
+    character[part] = def[part] === undefined ? 'none' : def[part];
+    if (!options.includes(character[part])) {
+      throw new Error(`${name}: "${part}" should be one of ${options.join(', ')}.`);
+    }
+  }
+  character.walk = def.walk === undefined ? 'trot' : def.walk;
+  if (!WALK_STYLES[character.walk]) {
+    throw new Error(`${name}: "walk" should be one of ${Object.keys(WALK_STYLES).join(', ')}.`);
+  }
+
+  if (def.sound !== undefined) {
+    const sound = def.sound;
+    if (!sound || typeof sound !== 'object' || !CHARACTER_WAVES.includes(sound.wave)) {
+      throw new Error(`${name}: "sound" needs a "wave" of ${CHARACTER_WAVES.join(', ')}.`);
+    }
+    const from = clampNumber(sound.from, 60, 2000, 440);
+    character.sound = {
+      wave: sound.wave,
+      from,
+      to: clampNumber(sound.to, 60, 2000, from),
+      length: clampNumber(sound.length, 0.05, 1, 0.2),
+      repeat: Math.round(clampNumber(sound.repeat, 1, 4, 1)),
+    };
+  }
+  return character;
+}
+
+// Parses what a grown-up pasted in: one definition or a list of them.
+// Throws with a readable message if any of it can't be used.
+function parseCharacters(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error("That isn't valid JSON. Check the quotes, commas and brackets.");
+  }
+  const list = Array.isArray(parsed) ? parsed : [parsed];
+  if (!list.length) throw new Error('There are no characters in that list.');
+  return list.map(checkCharacter);
+}
+
+// ===== DRAWING =====
+// Draws a character facing out of the screen, centred on (x, y) with size s.
+// bounce is how far it is off the ground (its feet stay down), phase its walk
+// cycle and direction 1 or -1 for which side its tail trails.
+function drawCharacter(ctx, c, x, y, s, { bounce = 0, phase = 0, direction = 1 } = {}) {
+  const shape = BODY_SHAPES[c.body] || BODY_SHAPES.round;
+  const bw = s * shape.w;
+  const bh = s * shape.h;
+
+  ctx.save();
+  drawCharacterTail(ctx, c, x - direction * bw * 0.9, y + bh * 0.4, s, direction);
+  drawCharacterEars(ctx, c, x, y, s, bw, bh, true);
+
+  ctx.fillStyle = c.bodyColour;
+  ctx.beginPath();
+  ctx.ellipse(x, y, bw, bh, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = c.bellyColour;
+  ctx.beginPath();
+  ctx.ellipse(x, y + s * 0.2, bw * 0.6, s * 0.7, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  drawCharacterMarkings(ctx, c, x, y, s, bw, bh);
+
+  // Face
+  ctx.fillStyle = '#FFF';
+  ctx.beginPath();
+  ctx.arc(x - s * 0.25, y - s * 0.3, s * 0.2, 0, Math.PI * 2);
+  ctx.arc(x + s * 0.25, y - s * 0.3, s * 0.2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#000';
+  ctx.beginPath();
+  ctx.arc(x - s * 0.2, y - s * 0.3, s * 0.1, 0, Math.PI * 2);
+  ctx.arc(x + s * 0.2, y - s * 0.3, s * 0.1, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.strokeStyle = '#000';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(x, y - s * 0.05, s * 0.25, 0.1 * Math.PI, 0.9 * Math.PI);
+  ctx.stroke();
+
+  drawCharacterEars(ctx, c, x, y, s, bw, bh, false);
+  drawCharacterNose(ctx, c, x, y, s);
+
+  // Feet stay on the ground while the body bounces
+  ctx.fillStyle = c.feetColour || c.bodyColour;
+  const footOffset = Math.sin(phase) * 5;
+  ctx.beginPath();
+  ctx.ellipse(x - s * 0.3, y + s * 1.2 + bounce, s * 0.2, s * 0.1, footOffset * 0.02, 0, Math.PI * 2);
+  ctx.ellipse(x + s * 0.3, y + s * 1.2 + bounce, s * 0.2, s * 0.1, -footOffset * 0.02, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+// Big ears and bumps sit behind the body; the rest go on top of it
+function drawCharacterEars(ctx, c, x, y, s, bw, bh, behind) {
+  const isBehind = c.ears === 'big' || c.ears === 'bumps';
+  if (isBehind !== behind) return;
+  const top = y - bh;
+  if (c.ears === 'little') {
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.ellipse(x - bw * 0.4, y - s * 0.6, s * 0.15, s * 0.25, -0.3, 0, Math.PI * 2);
+    ctx.ellipse(x + bw * 0.4, y - s * 0.6, s * 0.15, s * 0.25, 0.3, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.ears === 'long') {
+    ctx.fillStyle = c.bodyColour;
+    ctx.beginPath();
+    ctx.ellipse(x - s * 0.2, top + s * 0.1, s * 0.12, s * 0.4, -0.1, 0, Math.PI * 2);
+    ctx.ellipse(x + s * 0.2, top + s * 0.1, s * 0.12, s * 0.4, 0.1, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.ellipse(x - s * 0.2, top + s * 0.1, s * 0.06, s * 0.3, -0.1, 0, Math.PI * 2);
+    ctx.ellipse(x + s * 0.2, top + s * 0.1, s * 0.06, s * 0.3, 0.1, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.ears === 'floppy') {
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.ellipse(x - bw * 0.5, y - s * 0.2, s * 0.2, s * 0.35, -0.5, 0, Math.PI * 2);
+    ctx.ellipse(x + bw * 0.5, y - s * 0.2, s * 0.2, s * 0.35, 0.5, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.ears === 'pointy') {
+    for (const side of [-1, 1]) {
+      ctx.fillStyle = c.bodyColour;
+      ctx.beginPath();
+      ctx.moveTo(x + side * bw * 0.7, top + bh * 0.3);
+      ctx.lineTo(x + side * bw * 0.5, top - s * 0.25);
+      ctx.lineTo(x + side * bw * 0.1, top + bh * 0.05);
+      ctx.fill();
+      ctx.fillStyle = c.accentColour;
+      ctx.beginPath();
+      ctx.moveTo(x + side * bw * 0.6, top + bh * 0.22);
+      ctx.lineTo(x + side * bw * 0.48, top - s * 0.08);
+      ctx.lineTo(x + side * bw * 0.25, top + bh * 0.1);
+      ctx.fill();
+    }
+  } else if (c.ears === 'big') {
+    for (const side of [-1, 1]) {
+      ctx.fillStyle = c.bodyColour;
+      ctx.beginPath();
+      ctx.ellipse(x + side * bw * 0.9, y - s * 0.35, s * 0.5, s * 0.65, side * 0.3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = c.accentColour;
+      ctx.beginPath();
+      ctx.ellipse(x + side * bw * 0.95, y - s * 0.35, s * 0.32, s * 0.45, side * 0.3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  } else if (c.ears === 'bumps') {
+    ctx.fillStyle = c.bodyColour;
+    ctx.beginPath();
+    ctx.arc(x - bw * 0.4, top + s * 0.2, s * 0.3, 0, Math.PI * 2);
+    ctx.arc(x + bw * 0.4, top + s * 0.2, s * 0.3, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.ears === 'stem') {
+    // A stem with a curly leaf, for pumpkins
+    ctx.fillStyle = c.accentColour;
+    ctx.fillRect(x - s * 0.08, top - s * 0.25, s * 0.16, s * 0.3);
+    ctx.beginPath();
+    ctx.ellipse(x + s * 0.22, top - s * 0.1, s * 0.18, s * 0.08, -0.4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+function drawCharacterNose(ctx, c, x, y, s) {
+  if (c.nose === 'beak') {
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.moveTo(x, y - s * 0.15);
+    ctx.lineTo(x - s * 0.15, y + s * 0.05);
+    ctx.lineTo(x + s * 0.15, y + s * 0.05);
+    ctx.fill();
+  } else if (c.nose === 'bill') {
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.ellipse(x, y - s * 0.02, s * 0.3, s * 0.12, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(0,0,0,0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x - s * 0.25, y - s * 0.02);
+    ctx.lineTo(x + s * 0.25, y - s * 0.02);
+    ctx.stroke();
+  } else if (c.nose === 'snout') {
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.ellipse(x, y + s * 0.05, s * 0.2, s * 0.12, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = c.bodyColour;
+    ctx.beginPath();
+    ctx.arc(x - s * 0.07, y + s * 0.05, 2, 0, Math.PI * 2);
+    ctx.arc(x + s * 0.07, y + s * 0.05, 2, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.nose === 'button') {
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.arc(x, y, s * 0.09, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.nose === 'trunk') {
+    ctx.strokeStyle = c.bodyColour;
+    ctx.lineWidth = s * 0.22;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(x, y - s * 0.1);
+    ctx.quadraticCurveTo(x - s * 0.05, y + s * 0.6, x + s * 0.3, y + s * 0.55);
+    ctx.stroke();
+  }
+}
+
+// Trails behind, on the side the character is walking away from
+function drawCharacterTail(ctx, c, x, y, s, direction) {
+  ctx.strokeStyle = c.bodyColour;
+  ctx.fillStyle = c.bodyColour;
+  if (c.tail === 'curly') {
+    ctx.lineWidth = s * 0.07;
+    ctx.beginPath();
+    ctx.arc(x - direction * s * 0.15, y, s * 0.12, 0, Math.PI * 1.6);
+    ctx.stroke();
+  } else if (c.tail === 'long') {
+    ctx.lineWidth = s * 0.12;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.quadraticCurveTo(x - direction * s * 0.7, y, x - direction * s * 0.6, y - s * 0.7);
+    ctx.stroke();
+  } else if (c.tail === 'fluffy') {
+    ctx.fillStyle = c.bellyColour;
+    ctx.beginPath();
+    ctx.arc(x - direction * s * 0.1, y, s * 0.22, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.tail === 'tuft') {
+    ctx.beginPath();
+    ctx.moveTo(x + direction * s * 0.2, y - s * 0.2);
+    ctx.lineTo(x - direction * s * 0.45, y - s * 0.35);
+    ctx.lineTo(x + direction * s * 0.2, y + s * 0.2);
+    ctx.fill();
+  }
+}
+
+function drawCharacterMarkings(ctx, c, x, y, s, bw, bh) {
+  const top = y - bh;
+  if (c.markings === 'stripes') {
+    ctx.strokeStyle = c.accentColour;
+    ctx.lineWidth = s * 0.08;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    for (const offset of [-0.2, 0, 0.2]) {
+      ctx.moveTo(x + offset * s, top + s * 0.15);
+      ctx.lineTo(x + offset * s * 1.2, top + s * 0.45);
+    }
+    ctx.stroke();
+  } else if (c.markings === 'spots') {
+    ctx.fillStyle = c.accentColour;
+    ctx.beginPath();
+    ctx.arc(x - bw * 0.7, y + s * 0.1, s * 0.1, 0, Math.PI * 2);
+    ctx.arc(x + bw * 0.75, y - s * 0.1, s * 0.12, 0, Math.PI * 2);
+    ctx.arc(x + bw * 0.6, y + s * 0.5, s * 0.08, 0, Math.PI * 2);
+    ctx.arc(x - bw * 0.5, top + s * 0.35, s * 0.08, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (c.markings === 'ribs') {
+    ctx.strokeStyle = 'rgba(0,0,0,0.15)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.ellipse(x, y, bw * 0.45, bh, 0, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+}
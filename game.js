@@ -8,6 +8,7 @@ const contexts = {};
 function initCanvases() {
   ['dino', 'space', 'parade', 'magic'].forEach(id => {
     const canvas = document.getElementById(`${id}-canvas`);
+    canvas.parentElement.classList.toggle('off', !isQuadrantEnabled(id));
     canvases[id] = canvas;
     contexts[id] = canvas.getContext('2d');
     resizeCanvas(canvas);
@@ -22,62 +23,13 @@ function resizeCanvas(canvas) {
   ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
 }
 
-function hideStartScreen() {
-  const el = document.getElementById('start-screen');
-  if (el) el.remove();
-}
-
 window.addEventListener('resize', () => {
   Object.values(canvases).forEach(resizeCanvas);
 });
 
-// ===== KEYBOARD ZONES =====
-const ZONES = {
-  left: new Set([
-    'Escape','F1','F2','F3','F4',
-    'Backquote','Digit1','Digit2','Digit3','Digit4','Digit5',
-    'Tab','KeyQ','KeyW','KeyE','KeyR','KeyT',
-    'CapsLock','KeyA','KeyS','KeyD','KeyF','KeyG',
-    'ShiftLeft','KeyZ','KeyX','KeyC','KeyV','KeyB',
-    'ControlLeft','MetaLeft','AltLeft',
-  ]),
-  right: new Set([
-    'F5','F6','F7','F8','F9','F10','F11','F12',
-    'Digit6','Digit7','Digit8','Digit9','Digit0','Minus','Equal','Backspace',
-    'KeyY','KeyU','KeyI','KeyO','KeyP','BracketLeft','BracketRight',
-    'KeyH','KeyJ','KeyK','KeyL','Semicolon','Quote','Backslash','Enter',
-    'KeyN','KeyM','Comma','Period','Slash','ShiftRight',
-    'ControlRight',
-  ]),
-  space: new Set([
-    'Space','AltRight','MetaRight','ContextMenu',
-  ]),
-  special: new Set([
-    'Insert','Home','End','PageUp','PageDown','Delete',
-    'ArrowUp','ArrowDown','ArrowLeft','ArrowRight',
-    'NumLock','NumpadDivide','NumpadMultiply','NumpadSubtract',
-    'Numpad7','Numpad8','Numpad9','NumpadAdd',
-    'Numpad4','Numpad5','Numpad6',
-    'Numpad1','Numpad2','Numpad3','NumpadEnter',
-    'Numpad0','NumpadDecimal',
-    'PrintScreen','ScrollLock','Pause',
-  ]),
-};
-
-function getZone(code) {
-  for (const [zone, keys] of Object.entries(ZONES)) {
-    if (keys.has(code)) return zone;
-  }
-  return 'left';
-}
-
-// ===== AUDIO ENGINE =====
-let audioCtx = null;
-const MAX_GAIN = 0.15;
-
-function initAudio() {
-  audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-}
+// ===== AUDIO =====
+// Voices go through the shared master bus in audio.js
+const MAX_GAIN = soundLevel(0.15);
 
 const PENTATONIC = [261.63, 293.66, 329.63, 392.00, 440.00, 523.25, 587.33, 659.25];
 
@@ -88,12 +40,18 @@ const ZONE_SOUNDS = {
   special: { baseOctave: 1, waveform: 'sine', attack: 0.01, decay: 0.6, filterFreq: 3000 },
 };
 
-function playZoneSound(zone) {
+// noteIndex picks a PENTATONIC note; leave it out for a random one
+function playZoneSound(zone, noteIndex) {
+  const index = noteIndex ?? Math.floor(Math.random() * PENTATONIC.length);
+  const baseFreq = PENTATONIC[index % PENTATONIC.length];
+  playZoneTone(zone, baseFreq * Math.pow(2, ZONE_SOUNDS[zone].baseOctave));
+}
+
+// Plays freq with the zone's timbre
+function playZoneTone(zone, freq) {
   if (!audioCtx) return;
   const config = ZONE_SOUNDS[zone];
   const now = audioCtx.currentTime;
-  const baseFreq = PENTATONIC[Math.floor(Math.random() * PENTATONIC.length)];
-  const freq = baseFreq * Math.pow(2, config.baseOctave);
 
   const osc = audioCtx.createOscillator();
   osc.type = config.waveform;
@@ -110,9 +68,10 @@ function playZoneSound(zone) {
 
   osc.connect(filter);
   filter.connect(gain);
-  gain.connect(audioCtx.destination);
+  const length = config.attack + config.decay + 0.1;
+  gain.connect(voiceOutput(length));
   osc.start(now);
-  osc.stop(now + config.attack + config.decay + 0.1);
+  osc.stop(now + length);
 }
 
 // ===== ANIMATION FRAMEWORK =====
@@ -126,12 +85,53 @@ const ZONE_TO_CANVAS = {
   special: 'magic',
 };
 
+// Quadrants a parent switched off stay dimmed and ignore their keys
+function isQuadrantEnabled(quadrant) {
+  const zone = Object.keys(ZONE_TO_CANVAS).find(z => ZONE_TO_CANVAS[z] === quadrant);
+  return settings.worldZones[zone] !== false;
+}
+
+// ===== RAPID BASHING =====
+// Each press adds to its quadrant's intensity, which drains away over time.
+// Sustained bashing pushes a quadrant past BASH_BUSY, then BASH_FRENZY, and
+// the trigger functions escalate accordingly.
+const intensity = { dino: 0, space: 0, parade: 0, magic: 0 };
+const shake = { dino: 0, space: 0, parade: 0, magic: 0 };
+const INTENSITY_KEEP_PER_SEC = 0.3; // fraction left after a second of calm
+const BASH_BUSY = 3;
+const BASH_FRENZY = 7;
+
+function addIntensity(quadrant) {
+  intensity[quadrant] += 1;
+  return bashLevel(quadrant);
+}
+
+function bashLevel(quadrant) {
+  if (intensity[quadrant] >= BASH_FRENZY) return 2;
+  if (intensity[quadrant] >= BASH_BUSY) return 1;
+  return 0;
+}
+
+function decayIntensity(dt) {
+  const keep = Math.pow(INTENSITY_KEEP_PER_SEC, dt / 1000);
+  for (const id of Object.keys(intensity)) {
+    intensity[id] *= keep;
+    if (intensity[id] < 0.05) intensity[id] = 0;
+  }
+}
+
 class Effect {
   constructor(quadrant, duration = 2000) {
+    this.start(quadrant, duration);
+  }
+  // Split out of the constructor so pooled effects can be reused
+  start(quadrant, duration) {
     this.quadrant = quadrant;
     this.startTime = performance.now();
     this.duration = duration;
     this.dead = false;
+    this.retired = false; // already taken off the quadrant's budget
+    this.cost = 1; // share of the quadrant's budget; bursts count each blob
   }
   get progress() {
     return Math.min(1, (performance.now() - this.startTime) / this.duration);
@@ -145,6 +145,10 @@ class Effect {
 class Particle extends Effect {
   constructor(quadrant, x, y, config = {}) {
     super(quadrant, config.duration || 1500);
+    this.reset(quadrant, x, y, config);
+  }
+  reset(quadrant, x, y, config = {}) {
+    this.start(quadrant, config.duration || 1500);
     this.x = x;
     this.y = y;
     this.vx = config.vx || (Math.random() - 0.5) * 4;
@@ -156,9 +160,10 @@ class Particle extends Effect {
   }
   update() {
     super.update();
-    this.vy += this.gravity;
-    this.x += this.vx;
-    this.y += this.vy;
+    const m = motionScale();
+    this.vy += this.gravity * m;
+    this.x += this.vx * m;
+    this.y += this.vy * m;
   }
   draw(ctx, w, h) {
     const alpha = 1 - this.progress;
@@ -198,16 +203,154 @@ function drawHeart(ctx, x, y, size) {
   ctx.fill();
 }
 
+// ===== EFFECT BUDGETS =====
+// A toddler leaning on the keyboard must not be able to grind the frame rate
+// down. Each quadrant has a budget of effects (bursts count every blob); new
+// effects push out the oldest, particles first. Evicting only marks an
+// effect dead and moves a cursor on; dead effects are compacted out in place
+// on the next frame and particles are pooled, so a busy quadrant makes little
+// garbage. If frames still run long, effectQuality drops, thinning every
+// burst and shrinking the budgets until the frame rate recovers.
+const QUADRANT_BUDGET = 150;
+const PARTICLE_POOL_MAX = 400;
+const FRAME_BUDGET_MS = 1000 / 45;
+const MIN_EFFECT_QUALITY = 0.25;
+const effectLoad = { dino: 0, space: 0, parade: 0, magic: 0 };
+// Where the search for the next effect to evict picks up; the lists only
+// grow at the end between compactions, so neither cursor has to look back
+const evictCursor = {
+  dino: { particle: 0, any: 0 },
+  space: { particle: 0, any: 0 },
+  parade: { particle: 0, any: 0 },
+  magic: { particle: 0, any: 0 },
+};
+const particlePool = [];
+let frameTimeAvg = 1000 / 60;
+let effectQuality = 1;
+
+// Like animationAmount, but also thinned out while frames run long
+function effectAmount(count) {
+  return Math.max(1, Math.round(animationAmount(count) * effectQuality));
+}
+
+function quadrantBudget() {
+  return Math.round(QUADRANT_BUDGET * effectQuality);
+}
+
+function addEffect(effect) {
+  const id = effect.quadrant;
+  while (effectLoad[id] + effect.cost > quadrantBudget()) {
+    const oldest = nextToEvict(id);
+    if (!oldest) break;
+    retireEffect(oldest);
+  }
+  effects[id].push(effect);
+  effectLoad[id] += effect.cost;
+  return effect;
+}
+
+function spawnParticle(quadrant, x, y, config) {
+  const particle = particlePool.pop();
+  if (particle) particle.reset(quadrant, x, y, config);
+  return addEffect(particle || new Particle(quadrant, x, y, config));
+}
+
+// The oldest live particle, or failing that the oldest live effect. Each
+// cursor passes every entry at most once per frame.
+function nextToEvict(id) {
+  const list = effects[id];
+  const cursor = evictCursor[id];
+  while (cursor.particle < list.length &&
+      (list[cursor.particle].dead || !(list[cursor.particle] instanceof Particle))) {
+    cursor.particle++;
+  }
+  if (cursor.particle < list.length) return list[cursor.particle++];
+  while (cursor.any < list.length && list[cursor.any].dead) cursor.any++;
+  return cursor.any < list.length ? list[cursor.any++] : null;
+}
+
+// Takes an effect off its quadrant's books; runEffects removes it from the
+// list on the next frame
+function retireEffect(effect) {
+  effect.dead = true;
+  effect.retired = true;
+  effectLoad[effect.quadrant] -= effect.cost;
+}
+
+// Updates and draws a quadrant's effects, dropping finished and evicted ones
+// without splicing
+function runEffects(id, ctx, w, h) {
+  const list = effects[id];
+  let kept = 0;
+  for (let i = 0; i < list.length; i++) {
+    const effect = list[i];
+    if (!effect.dead) {
+      effect.update();
+      effect.draw(ctx, w, h);
+    }
+    if (!effect.dead) {
+      list[kept++] = effect;
+      continue;
+    }
+    if (!effect.retired) retireEffect(effect);
+    if (effect instanceof Particle && particlePool.length < PARTICLE_POOL_MAX) {
+      particlePool.push(effect);
+    }
+  }
+  list.length = kept;
+  evictCursor[id].particle = 0;
+  evictCursor[id].any = 0;
+}
+
+// Gaps longer than this are a hidden tab or a breakpoint, not slowness
+const FRAME_GAP_MS = 250;
+
+function trackFrameTime(dt) {
+  if (!dt || dt > FRAME_GAP_MS) return;
+  frameTimeAvg += (dt - frameTimeAvg) * 0.05;
+  if (frameTimeAvg > FRAME_BUDGET_MS) {
+    effectQuality = Math.max(MIN_EFFECT_QUALITY, effectQuality - 0.01);
+  } else if (frameTimeAvg < FRAME_BUDGET_MS * 0.8) {
+    effectQuality = Math.min(1, effectQuality + 0.002);
+  }
+}
+
+// ===== EVENT PICKING =====
+// Each quadrant's events carry a weight. Whatever played last in a quadrant
+// has its weight cut, so the same event rarely comes up twice in a row.
+const REPEAT_WEIGHT = 0.3;
+const lastEvent = {};
+
+function pickEvent(quadrant, events) {
+  const weightOf = e => e.weight * (e === lastEvent[quadrant] ? REPEAT_WEIGHT : 1);
+  let roll = Math.random() * events.reduce((sum, e) => sum + weightOf(e), 0);
+  let picked = events[events.length - 1];
+  for (const e of events) {
+    roll -= weightOf(e);
+    if (roll < 0) {
+      picked = e;
+      break;
+    }
+  }
+  lastEvent[quadrant] = picked;
+  return picked;
+}
+
 // ===== DINOSAUR LAND =====
 const DINO_COLOURS = ['#2E7D32', '#4CAF50', '#8BC34A', '#FF6F00', '#D84315'];
 
+function dinoColour() {
+  const colours = themed('palette', DINO_COLOURS);
+  return colours[Math.floor(Math.random() * colours.length)];
+}
+
 class DinoStomp extends Effect {
   constructor() {
     super('dino', 2500);
     this.dinoType = Math.random() < 0.5 ? 'trex' : 'ptero';
     this.x = -80;
     this.y = 0;
-    this.colour = DINO_COLOURS[Math.floor(Math.random() * DINO_COLOURS.length)];
+    this.colour = dinoColour();
   }
   draw(ctx, w, h) {
     const x = this.x + this.progress * (w + 160);
@@ -289,20 +432,22 @@ function drawPtero(ctx, x, y, colour) {
 }
 
 class VolcanoErupt extends Effect {
-  constructor(w, h) {
+  // power scales the number, speed and size of the lava blobs
+  constructor(w, h, power = 1) {
     super('dino', 2000);
     this.particles = [];
     const vx = w * (0.1 + Math.random() * 0.8);
     const vy = h * 0.85;
-    for (let i = 0; i < 15; i++) {
+    for (let i = 0; i < effectAmount(15 * power); i++) {
       this.particles.push({
         x: vx, y: vy,
-        vx: (Math.random() - 0.5) * 6,
-        vy: -Math.random() * 8 - 4,
-        size: Math.random() * 6 + 3,
+        vx: (Math.random() - 0.5) * 6 * power,
+        vy: (-Math.random() * 8 - 4) * Math.sqrt(power),
+        size: (Math.random() * 6 + 3) * Math.sqrt(power),
         colour: ['#FF5722', '#FF9800', '#FFEB3B', '#F44336'][Math.floor(Math.random() * 4)],
       });
     }
+    this.cost = this.particles.length;
   }
   update() {
     super.update();
@@ -325,18 +470,193 @@ class VolcanoErupt extends Effect {
   }
 }
 
-function triggerDino(w, h) {
-  const roll = Math.random();
-  if (roll < 0.5) {
-    effects.dino.push(new DinoStomp());
-  } else {
-    effects.dino.push(new VolcanoErupt(w, h));
+class EggHatch extends Effect {
+  constructor(w, h) {
+    super('dino', 3200);
+    this.x = w * (0.15 + Math.random() * 0.7);
+    this.y = h * 0.8;
+    this.colour = dinoColour();
+    this.spots = ['#FFF59D', '#B2EBF2', '#F8BBD0'][Math.floor(Math.random() * 3)];
+    this.shell = [];
+    this.shellCount = effectAmount(10);
+    this.cost = 1 + this.shellCount;
+    this.hatched = false;
   }
-  for (let i = 0; i < 5; i++) {
-    effects.dino.push(new Particle('dino',
+  update() {
+    super.update();
+    if (!this.hatched && this.progress > 0.45) {
+      this.hatched = true;
+      for (let i = 0; i < this.shellCount; i++) {
+        this.shell.push({
+          x: this.x, y: this.y - 20,
+          vx: (Math.random() - 0.5) * 6,
+          vy: -Math.random() * 5 - 2,
+          spin: Math.random() * Math.PI * 2,
+        });
+      }
+    }
+    this.shell.forEach(p => {
+      p.vy += 0.2;
+      p.x += p.vx;
+      p.y += p.vy;
+      p.spin += 0.2;
+    });
+  }
+  draw(ctx, w, h) {
+    const p = this.progress;
+    ctx.globalAlpha = p > 0.85 ? (1 - p) / 0.15 : 1;
+    if (!this.hatched) {
+      // Wobbling harder and harder, then cracking
+      const wobble = Math.sin(performance.now() / 60) * p * 0.5;
+      ctx.save();
+      ctx.translate(this.x, this.y);
+      ctx.rotate(wobble);
+      ctx.fillStyle = '#FFFDE7';
+      ctx.beginPath();
+      ctx.ellipse(0, -22, 18, 24, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = this.spots;
+      ctx.beginPath();
+      ctx.arc(-6, -30, 4, 0, Math.PI * 2);
+      ctx.arc(7, -18, 5, 0, Math.PI * 2);
+      ctx.arc(-4, -10, 3, 0, Math.PI * 2);
+      ctx.fill();
+      if (p > 0.3) {
+        ctx.strokeStyle = '#5D4037';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-14, -26);
+        ctx.lineTo(-6, -20);
+        ctx.lineTo(0, -28);
+        ctx.lineTo(6, -20);
+        ctx.lineTo(14, -26);
+        ctx.stroke();
+      }
+      ctx.restore();
+    } else {
+      // A baby dino pops up and bobs about in the bottom half of its shell
+      const pop = Math.min(1, (p - 0.45) / 0.15);
+      const bob = Math.sin(performance.now() / 150) * 3;
+      ctx.save();
+      ctx.translate(this.x - 8, this.y - 20 - pop * 18 + bob);
+      ctx.scale(0.4, 0.4);
+      drawTRex(ctx, 0, 0, this.colour);
+      ctx.restore();
+      ctx.fillStyle = '#FFFDE7';
+      ctx.beginPath();
+      ctx.ellipse(this.x, this.y - 12, 20, 14, 0, 0, Math.PI);
+      ctx.fill();
+      ctx.strokeStyle = '#5D4037';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(this.x - 20, this.y - 12);
+      for (let i = 1; i <= 6; i++) {
+        ctx.lineTo(this.x - 20 + i * (40 / 6), this.y - 12 - (i % 2 ? 6 : 0));
+      }
+      ctx.stroke();
+      ctx.fillStyle = '#FFFDE7';
+      this.shell.forEach(s => {
+        ctx.save();
+        ctx.translate(s.x, s.y);
+        ctx.rotate(s.spin);
+        ctx.beginPath();
+        ctx.moveTo(-5, 0);
+        ctx.lineTo(0, -6);
+        ctx.lineTo(5, 0);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+      });
+    }
+    ctx.globalAlpha = 1;
+  }
+}
+
+class StegoWalk extends Effect {
+  constructor(w, h) {
+    super('dino', 6000);
+    this.direction = Math.random() < 0.5 ? 1 : -1;
+    this.w = w;
+    this.y = h * (0.6 + Math.random() * 0.1);
+    this.colour = dinoColour();
+    this.plates = ['#FF7043', '#FFCA28'][Math.floor(Math.random() * 2)];
+  }
+  draw(ctx, w, h) {
+    const travel = this.progress * (w + 240) - 120;
+    const x = this.direction === 1 ? travel : w - travel;
+    const step = Math.sin(this.progress * 40);
+    ctx.save();
+    ctx.translate(x, this.y + Math.abs(step) * 2);
+    ctx.scale(this.direction, 1);
+
+    // Plates along the back, drawn first so the body overlaps their bases
+    ctx.fillStyle = this.plates;
+    for (let i = 0; i < 5; i++) {
+      const px = -36 + i * 16;
+      const ph = 14 + Math.sin((i / 4) * Math.PI) * 10;
+      ctx.beginPath();
+      ctx.moveTo(px - 8, -14);
+      ctx.lineTo(px, -14 - ph);
+      ctx.lineTo(px + 8, -14);
+      ctx.fill();
+    }
+
+    ctx.fillStyle = this.colour;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 50, 22, 0, 0, Math.PI * 2);
+    ctx.fill();
+    // Tail with spikes
+    ctx.beginPath();
+    ctx.moveTo(-45, -6);
+    ctx.quadraticCurveTo(-80, -4, -95, -16);
+    ctx.quadraticCurveTo(-80, 6, -45, 8);
+    ctx.fill();
+    ctx.fillStyle = this.plates;
+    ctx.beginPath();
+    ctx.moveTo(-88, -12);
+    ctx.lineTo(-96, -28);
+    ctx.lineTo(-82, -14);
+    ctx.moveTo(-80, -8);
+    ctx.lineTo(-84, -24);
+    ctx.lineTo(-74, -9);
+    ctx.fill();
+    // Small head low at the front
+    ctx.fillStyle = this.colour;
+    ctx.beginPath();
+    ctx.ellipse(58, 6, 14, 9, 0.2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.arc(62, 3, 2, 0, Math.PI * 2);
+    ctx.fill();
+    // Legs, stepping in pairs
+    ctx.fillStyle = this.colour;
+    ctx.fillRect(-30 + step * 4, 14, 12, 22);
+    ctx.fillRect(22 + step * 4, 14, 12, 22);
+    ctx.fillRect(-18 - step * 4, 14, 12, 22);
+    ctx.fillRect(34 - step * 4, 14, 12, 22);
+    ctx.restore();
+  }
+}
+
+// Bashing turns a dino into a stampede and an egg into a whole clutch
+const DINO_EVENTS = [
+  { weight: 4, spawn: (w, h, level) => { for (let i = 0; i <= level; i++) addEffect(new DinoStomp()); } },
+  { weight: 4, spawn: (w, h, level) => addEffect(new VolcanoErupt(w, h, 1 + level)) },
+  { weight: 2, spawn: (w, h, level) => { for (let i = 0; i <= level; i++) addEffect(new EggHatch(w, h)); } },
+  { weight: 2, spawn: (w, h) => addEffect(new StegoWalk(w, h)) },
+];
+
+function triggerDino(w, h, level = 0) {
+  pickEvent('dino', DINO_EVENTS).spawn(w, h, level);
+  if (level > 0) {
+    shake.dino = Math.max(shake.dino, level * 6);
+  }
+  for (let i = 0; i < effectAmount(5 * (1 + level)); i++) {
+    spawnParticle('dino',
       Math.random() * w, h * 0.9,
       { colour: '#8B4513', vy: -Math.random() * 2, gravity: 0.05, duration: 1000 }
-    ));
+    );
   }
 }
 
@@ -399,11 +719,12 @@ class Rocket extends Effect {
 }
 
 class ShootingStar extends Effect {
-  constructor(w, h) {
+  // dir forces a direction (1 or -1) so a meteor shower falls together
+  constructor(w, h, dir) {
     super('space', 1000);
     this.x = Math.random() * w;
     this.y = Math.random() * h * 0.5;
-    this.vx = (Math.random() * 4 + 3) * (Math.random() < 0.5 ? 1 : -1);
+    this.vx = (Math.random() * 4 + 3) * (dir || (Math.random() < 0.5 ? 1 : -1));
     this.vy = Math.random() * 2 + 1;
   }
   update() {
@@ -460,142 +781,330 @@ class Planet extends Effect {
   }
 }
 
-function triggerSpace(w, h) {
-  const roll = Math.random();
-  if (roll < 0.4) {
-    effects.space.push(new Rocket(w, h));
-  } else if (roll < 0.7) {
-    effects.space.push(new ShootingStar(w, h));
-    effects.space.push(new ShootingStar(w, h));
-  } else {
-    effects.space.push(new Planet(w, h));
+class WarpSpeed extends Effect {
+  constructor(w, h) {
+    super('space', 1500);
+    this.streaks = [];
+    for (let i = 0; i < 40; i++) {
+      this.streaks.push({
+        angle: Math.random() * Math.PI * 2,
+        dist: Math.random() * 0.3,
+        speed: 0.6 + Math.random() * 0.8,
+      });
+    }
+  }
+  draw(ctx, w, h) {
+    const cx = w / 2;
+    const cy = h / 2;
+    const reach = Math.hypot(cx, cy);
+    ctx.globalAlpha = Math.sin(this.progress * Math.PI);
+    ctx.strokeStyle = '#E3F2FD';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    this.streaks.forEach(s => {
+      const d = ((s.dist + this.progress * s.speed) % 1) * reach;
+      const len = d * 0.35;
+      const cos = Math.cos(s.angle);
+      const sin = Math.sin(s.angle);
+      ctx.moveTo(cx + cos * d, cy + sin * d);
+      ctx.lineTo(cx + cos * (d + len), cy + sin * (d + len));
+    });
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+  }
+}
+
+class UFO extends Effect {
+  constructor(w, h) {
+    super('space', 4000);
+    this.from = Math.random() < 0.5 ? -60 : w + 60;
+    this.hoverX = w * (0.25 + Math.random() * 0.5);
+    this.hoverY = h * (0.15 + Math.random() * 0.2);
+    this.groundY = h * 0.95;
+    this.x = this.from;
+    this.y = this.hoverY;
+    this.stars = [];
+    for (let i = 0; i < effectAmount(6); i++) {
+      this.stars.push({ dx: (Math.random() - 0.5) * 60, t: Math.random() * 0.4 });
+    }
+    this.cost = 1 + this.stars.length;
+  }
+  // 0-0.25 fly in, 0.25-0.75 beam, 0.75-1 zoom away upwards
+  get beam() {
+    const p = this.progress;
+    if (p < 0.25 || p > 0.75) return 0;
+    return Math.sin(((p - 0.25) / 0.5) * Math.PI);
+  }
+  update() {
+    super.update();
+    const p = this.progress;
+    if (p < 0.25) {
+      const t = p / 0.25;
+      this.x = this.from + (this.hoverX - this.from) * (1 - (1 - t) * (1 - t));
+    } else if (p > 0.75) {
+      const t = (p - 0.75) / 0.25;
+      this.y = this.hoverY - t * t * (this.hoverY + 80);
+    }
   }
-  for (let i = 0; i < 3; i++) {
-    effects.space.push(new Particle('space',
+  draw(ctx, w, h) {
+    const beam = this.beam;
+    if (beam > 0) {
+      ctx.globalAlpha = beam * 0.35;
+      ctx.fillStyle = '#FFF59D';
+      ctx.beginPath();
+      ctx.moveTo(this.x - 14, this.y + 8);
+      ctx.lineTo(this.x + 14, this.y + 8);
+      ctx.lineTo(this.x + 50, this.groundY);
+      ctx.lineTo(this.x - 50, this.groundY);
+      ctx.closePath();
+      ctx.fill();
+      // Stars float up the beam into the saucer
+      const lift = (this.progress - 0.25) / 0.5;
+      ctx.fillStyle = '#FFF';
+      this.stars.forEach(s => {
+        const t = Math.max(0, Math.min(1, (lift - s.t) / 0.6));
+        if (t <= 0 || t >= 1) return;
+        ctx.globalAlpha = beam;
+        const y = this.groundY + (this.y - this.groundY) * t;
+        drawStar(ctx, this.x + s.dx * (1 - t), y, 5 * (1 - t * 0.5));
+      });
+    }
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = '#B3E5FC';
+    ctx.beginPath();
+    ctx.ellipse(this.x, this.y - 8, 14, 12, 0, Math.PI, 0);
+    ctx.fill();
+    ctx.fillStyle = '#90A4AE';
+    ctx.beginPath();
+    ctx.ellipse(this.x, this.y, 36, 10, 0, 0, Math.PI * 2);
+    ctx.fill();
+    // Running lights chase round the rim
+    const blink = Math.floor(performance.now() / 150);
+    for (let i = 0; i < 5; i++) {
+      ctx.fillStyle = (i + blink) % 5 === 0 ? '#FFEB3B' : '#F06292';
+      ctx.beginPath();
+      ctx.arc(this.x - 24 + i * 12, this.y + 2, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+class Comet extends Effect {
+  constructor(w, h) {
+    super('space', 2500);
+    this.dir = Math.random() < 0.5 ? 1 : -1;
+    this.x = this.dir === 1 ? -40 : w + 40;
+    this.y = Math.random() * h * 0.4;
+    this.vx = this.dir * (w + 80) / 150;
+    this.vy = h * (0.2 + Math.random() * 0.3) / 150;
+    this.hue = 180 + Math.random() * 60;
+    this.tail = [];
+  }
+  update() {
+    super.update();
+    this.x += this.vx;
+    this.y += this.vy;
+    this.tail.push({ x: this.x, y: this.y, drift: (Math.random() - 0.5) * 2 });
+    if (this.tail.length > 30) this.tail.shift();
+  }
+  draw(ctx, w, h) {
+    const fade = this.progress > 0.8 ? (1 - this.progress) / 0.2 : 1;
+    this.tail.forEach((t, i) => {
+      const a = i / this.tail.length;
+      ctx.globalAlpha = a * 0.5 * fade;
+      ctx.fillStyle = `hsl(${this.hue + (1 - a) * 40}, 90%, 75%)`;
+      ctx.beginPath();
+      ctx.arc(t.x + t.drift * (1 - a) * 10, t.y, 2 + a * 8, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 0.3 * fade;
+    ctx.fillStyle = `hsl(${this.hue}, 90%, 80%)`;
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, 18, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = fade;
+    ctx.fillStyle = '#FFF';
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+}
+
+const SPACE_EVENTS = [
+  { weight: 4, spawn: (w, h) => addEffect(new Rocket(w, h)) },
+  { weight: 3, spawn: (w, h) => { addEffect(new ShootingStar(w, h)); addEffect(new ShootingStar(w, h)); } },
+  { weight: 3, spawn: (w, h) => addEffect(new Planet(w, h)) },
+  { weight: 2, spawn: (w, h) => addEffect(new UFO(w, h)) },
+  { weight: 2, spawn: (w, h) => addEffect(new Comet(w, h)) },
+];
+
+function triggerSpace(w, h, level = 0) {
+  if (level >= 2 && !effects.space.some(e => e instanceof WarpSpeed)) {
+    addEffect(new WarpSpeed(w, h));
+  }
+  if (level >= 1) {
+    // Meteor shower and a fleet of rockets
+    const dir = Math.random() < 0.5 ? 1 : -1;
+    for (let i = 0; i < 4; i++) {
+      addEffect(new ShootingStar(w, h, dir));
+    }
+    addEffect(new Rocket(w, h));
+  }
+  pickEvent('space', SPACE_EVENTS).spawn(w, h, level);
+  for (let i = 0; i < effectAmount(3); i++) {
+    spawnParticle('space',
       Math.random() * w, Math.random() * h,
       { colour: '#FFF', size: 2, gravity: 0, vy: 0, vx: 0, duration: 800, shape: 'star' }
-    ));
+    );
   }
 }
 
 // ===== CHARACTER PARADE =====
-const CHARACTER_TYPES = [
-  { name: 'penguin', bodyColour: '#1A237E', bellyColour: '#FFF', accentColour: '#FF9800' },
-  { name: 'pig', bodyColour: '#F8BBD0', bellyColour: '#FCE4EC', accentColour: '#E91E63' },
-  { name: 'bunny', bodyColour: '#8D6E63', bellyColour: '#FFF', accentColour: '#F48FB1' },
-  { name: 'puppy', bodyColour: '#FF8A65', bellyColour: '#FFF3E0', accentColour: '#5D4037' },
-];
-
 class CharacterWalk extends Effect {
-  constructor(w, h) {
+  // Passing a leader joins the back of its conga line instead of wandering
+  // in on its own
+  constructor(w, h, leader) {
     super('parade', 4000);
-    this.character = CHARACTER_TYPES[Math.floor(Math.random() * CHARACTER_TYPES.length)];
-    this.direction = Math.random() < 0.5 ? 1 : -1;
-    this.x = this.direction === 1 ? -50 : w + 50;
-    this.y = h * (0.3 + Math.random() * 0.5);
-    this.bouncePhase = Math.random() * Math.PI * 2;
+    const types = paradeCharacters();
+    this.character = types[Math.floor(Math.random() * types.length)];
     this.size = 25 + Math.random() * 15;
     this.w = w;
+    if (leader) {
+      this.direction = leader.direction;
+      this.y = leader.y;
+      this.bouncePhase = leader.bouncePhase - 0.8;
+      const gap = (leader.size + this.size) * 1.3;
+      const entry = this.direction === 1 ? -50 : w + 50;
+      const behind = leader.x - this.direction * gap;
+      this.x = this.direction === 1 ? Math.min(entry, behind) : Math.max(entry, behind);
+      // Walk long enough to cross the screen from further back in the queue
+      this.duration = (Math.abs(this.x - entry) / 2 / 60) * 1000 + 4000;
+    } else {
+      this.direction = Math.random() < 0.5 ? 1 : -1;
+      this.x = this.direction === 1 ? -50 : w + 50;
+      this.y = h * (0.3 + Math.random() * 0.5);
+      this.bouncePhase = Math.random() * Math.PI * 2;
+    }
+    this.hop = 0; // an extra jump on each beat of a music box replay
   }
   update() {
     super.update();
     this.x += this.direction * 2;
-    this.bouncePhase += 0.15;
+    this.bouncePhase += walkStyle(this.character).step;
+    this.hop *= 0.85;
   }
   draw(ctx, w, h) {
-    const bounce = Math.abs(Math.sin(this.bouncePhase)) * 10;
+    const style = walkStyle(this.character);
+    const bounce = Math.abs(Math.sin(this.bouncePhase)) * style.bounce + this.hop * 25;
     const x = this.x;
     const y = this.y - bounce;
     const s = this.size;
-    const c = this.character;
 
-    ctx.fillStyle = c.bodyColour;
-    ctx.beginPath();
-    ctx.ellipse(x, y, s, s * 1.2, 0, 0, Math.PI * 2);
-    ctx.fill();
+    // Waddlers rock from foot to foot, hat and all
+    ctx.save();
+    if (style.tilt) {
+      const ground = this.y + s * 1.2;
+      ctx.translate(x, ground);
+      ctx.rotate(Math.sin(this.bouncePhase) * style.tilt);
+      ctx.translate(-x, -ground);
+    }
+    drawCharacter(ctx, this.character, x, y, s, { bounce, phase: this.bouncePhase, direction: this.direction });
+    const hat = themed('paradeHat', null);
+    if (hat) drawParadeHat(ctx, hat, x, y - s * 1.15, s);
+    ctx.restore();
+  }
+}
+
+// Each character's own sound (see characters.js), under the zone's note
+function playCharacterSound(character) {
+  const sound = character.sound;
+  if (!audioCtx || !sound) return;
+  const now = audioCtx.currentTime;
+  const repeat = sound.repeat || 1;
+  const gap = sound.length + 0.05;
 
-    ctx.fillStyle = c.bellyColour;
+  const osc = audioCtx.createOscillator();
+  osc.type = sound.wave;
+  const filter = audioCtx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(2000, now);
+  const gain = audioCtx.createGain();
+  gain.gain.setValueAtTime(0, now);
+  for (let i = 0; i < repeat; i++) {
+    const start = now + i * gap;
+    osc.frequency.setValueAtTime(sound.from, start);
+    osc.frequency.exponentialRampToValueAtTime(sound.to, start + sound.length);
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(MAX_GAIN * 0.6, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + sound.length);
+  }
+
+  osc.connect(filter);
+  filter.connect(gain);
+  const length = repeat * gap + 0.1;
+  gain.connect(voiceOutput(length));
+  osc.start(now);
+  osc.stop(now + length);
+}
+
+// Seasonal hats for the parade (themes.js). top is the top of the head.
+function drawParadeHat(ctx, hat, x, top, s) {
+  ctx.save();
+  ctx.translate(x, top);
+  if (hat === 'santa') {
+    ctx.fillStyle = '#D32F2F';
     ctx.beginPath();
-    ctx.ellipse(x, y + s * 0.2, s * 0.6, s * 0.7, 0, 0, Math.PI * 2);
+    ctx.moveTo(-s * 0.5, 0);
+    ctx.quadraticCurveTo(s * 0.1, -s * 1.1, s * 0.6, -s * 0.6);
+    ctx.lineTo(s * 0.5, 0);
+    ctx.closePath();
     ctx.fill();
-
     ctx.fillStyle = '#FFF';
     ctx.beginPath();
-    ctx.arc(x - s * 0.25, y - s * 0.3, s * 0.2, 0, Math.PI * 2);
-    ctx.arc(x + s * 0.25, y - s * 0.3, s * 0.2, 0, Math.PI * 2);
+    ctx.ellipse(0, 0, s * 0.6, s * 0.15, 0, 0, Math.PI * 2);
+    ctx.arc(s * 0.6, -s * 0.6, s * 0.15, 0, Math.PI * 2);
     ctx.fill();
-    ctx.fillStyle = '#000';
+  } else if (hat === 'witch') {
+    ctx.fillStyle = '#4A148C';
     ctx.beginPath();
-    ctx.arc(x - s * 0.2, y - s * 0.3, s * 0.1, 0, Math.PI * 2);
-    ctx.arc(x + s * 0.2, y - s * 0.3, s * 0.1, 0, Math.PI * 2);
+    ctx.ellipse(0, 0, s * 0.9, s * 0.15, 0, 0, Math.PI * 2);
     ctx.fill();
-
-    ctx.strokeStyle = '#000';
-    ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.arc(x, y - s * 0.05, s * 0.25, 0.1 * Math.PI, 0.9 * Math.PI);
+    ctx.moveTo(-s * 0.45, 0);
+    ctx.lineTo(s * 0.15, -s * 1.2);
+    ctx.lineTo(s * 0.45, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = '#FFB300';
+    ctx.fillRect(-s * 0.4, -s * 0.2, s * 0.8, s * 0.12);
+  } else if (hat === 'party') {
+    ctx.fillStyle = '#FFC107';
+    ctx.beginPath();
+    ctx.moveTo(-s * 0.35, 0);
+    ctx.lineTo(0, -s * 1.1);
+    ctx.lineTo(s * 0.35, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.strokeStyle = '#E91E63';
+    ctx.lineWidth = s * 0.08;
+    ctx.beginPath();
+    ctx.moveTo(-s * 0.24, -s * 0.3);
+    ctx.lineTo(s * 0.24, -s * 0.3);
+    ctx.moveTo(-s * 0.13, -s * 0.65);
+    ctx.lineTo(s * 0.13, -s * 0.65);
     ctx.stroke();
-
-    if (c.name === 'penguin') {
-      ctx.fillStyle = c.accentColour;
-      ctx.beginPath();
-      ctx.moveTo(x, y - s * 0.15);
-      ctx.lineTo(x - s * 0.15, y + s * 0.05);
-      ctx.lineTo(x + s * 0.15, y + s * 0.05);
-      ctx.fill();
-    } else if (c.name === 'pig') {
-      ctx.fillStyle = c.accentColour;
-      ctx.beginPath();
-      ctx.ellipse(x, y + s * 0.05, s * 0.2, s * 0.12, 0, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = c.bodyColour;
-      ctx.beginPath();
-      ctx.arc(x - s * 0.07, y + s * 0.05, 2, 0, Math.PI * 2);
-      ctx.arc(x + s * 0.07, y + s * 0.05, 2, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = c.accentColour;
-      ctx.beginPath();
-      ctx.ellipse(x - s * 0.4, y - s * 0.6, s * 0.15, s * 0.25, -0.3, 0, Math.PI * 2);
-      ctx.ellipse(x + s * 0.4, y - s * 0.6, s * 0.15, s * 0.25, 0.3, 0, Math.PI * 2);
-      ctx.fill();
-    } else if (c.name === 'bunny') {
-      ctx.fillStyle = c.bodyColour;
-      ctx.beginPath();
-      ctx.ellipse(x - s * 0.2, y - s * 1.1, s * 0.12, s * 0.4, -0.1, 0, Math.PI * 2);
-      ctx.ellipse(x + s * 0.2, y - s * 1.1, s * 0.12, s * 0.4, 0.1, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = c.accentColour;
-      ctx.beginPath();
-      ctx.ellipse(x - s * 0.2, y - s * 1.1, s * 0.06, s * 0.3, -0.1, 0, Math.PI * 2);
-      ctx.ellipse(x + s * 0.2, y - s * 1.1, s * 0.06, s * 0.3, 0.1, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = c.accentColour;
-      ctx.beginPath();
-      ctx.arc(x, y, s * 0.08, 0, Math.PI * 2);
-      ctx.fill();
-    } else if (c.name === 'puppy') {
-      ctx.fillStyle = c.accentColour;
-      ctx.beginPath();
-      ctx.ellipse(x - s * 0.5, y - s * 0.2, s * 0.2, s * 0.35, -0.5, 0, Math.PI * 2);
-      ctx.ellipse(x + s * 0.5, y - s * 0.2, s * 0.2, s * 0.35, 0.5, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = '#000';
-      ctx.beginPath();
-      ctx.arc(x, y, s * 0.1, 0, Math.PI * 2);
-      ctx.fill();
-    }
-
-    ctx.fillStyle = c.name === 'penguin' ? c.accentColour : c.bodyColour;
-    const footOffset = Math.sin(this.bouncePhase) * 5;
+    ctx.fillStyle = '#03A9F4';
     ctx.beginPath();
-    ctx.ellipse(x - s * 0.3, y + s * 1.2 + bounce, s * 0.2, s * 0.1, footOffset * 0.02, 0, Math.PI * 2);
-    ctx.ellipse(x + s * 0.3, y + s * 1.2 + bounce, s * 0.2, s * 0.1, -footOffset * 0.02, 0, Math.PI * 2);
+    ctx.arc(0, -s * 1.1, s * 0.12, 0, Math.PI * 2);
     ctx.fill();
   }
+  ctx.restore();
 }
 
 class MusicNote extends Effect {
-  constructor(w, h) {
+  // Passing a music box note labels it with the note's name and colour
+  constructor(w, h, played) {
     super('parade', 1500);
     this.x = Math.random() * w;
     this.y = h;
@@ -603,6 +1112,11 @@ class MusicNote extends Effect {
     this.wobble = Math.random() * Math.PI * 2;
     this.size = 10 + Math.random() * 10;
     this.note = Math.random() < 0.5 ? '\u266A' : '\u266B';
+    if (played) {
+      this.colour = NOTE_COLOURS[played.name];
+      this.size = 22 + Math.random() * 8;
+      this.note = `\u266A${played.name}`;
+    }
   }
   update() {
     super.update();
@@ -620,15 +1134,28 @@ class MusicNote extends Effect {
   }
 }
 
-function triggerParade(w, h) {
-  effects.parade.push(new CharacterWalk(w, h));
-  for (let i = 0; i < 3; i++) {
-    effects.parade.push(new MusicNote(w, h));
+// Played one note per press while the conga line is building
+const CONGA_TUNE = [0, 2, 4, 2, 0, 2, 4, 5, 7, 5, 4, 2];
+let congaStep = 0;
+let congaTail = null;
+
+function nextCongaNote() {
+  return CONGA_TUNE[congaStep++ % CONGA_TUNE.length];
+}
+
+function triggerParade(w, h, level = 0, note = null) {
+  if (level === 0) congaStep = 0;
+  const leader = level > 0 && congaTail && !congaTail.dead ? congaTail : null;
+  congaTail = new CharacterWalk(w, h, leader);
+  addEffect(congaTail);
+  playCharacterSound(congaTail.character);
+  for (let i = 0; i < effectAmount(3); i++) {
+    addEffect(new MusicNote(w, h, note));
   }
 }
 
 // ===== FLORENCE'S MAGIC =====
-class FlorenceName extends Effect {
+class ChildName extends Effect {
   constructor(w, h) {
     super('magic', 3000);
     this.w = w;
@@ -638,15 +1165,15 @@ class FlorenceName extends Effect {
     const alpha = Math.sin(this.progress * Math.PI);
     const size = 30 + Math.sin(this.progress * Math.PI) * 15;
     ctx.globalAlpha = alpha;
-    const text = 'FLORENCE';
+    const text = childName().toUpperCase();
     ctx.font = `bold ${size}px 'Comic Sans MS', cursive`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     const hue = (performance.now() / 10) % 360;
     ctx.fillStyle = `hsl(${hue}, 80%, 60%)`;
     ctx.fillText(text, w / 2, h / 2);
-    ctx.strokeStyle = `hsl(${(hue + 180) % 360}, 90%, 80%)`;
-    ctx.lineWidth = 1;
+    ctx.strokeStyle = activeProfile().colour;
+    ctx.lineWidth = 2;
     ctx.strokeText(text, w / 2, h / 2);
     ctx.globalAlpha = 1;
     ctx.textAlign = 'start';
@@ -660,7 +1187,7 @@ class Firework extends Effect {
     this.y = Math.random() * h * 0.6;
     this.hue = Math.random() * 360;
     this.particles = [];
-    const count = 20 + Math.floor(Math.random() * 15);
+    const count = effectAmount(20 + Math.floor(Math.random() * 15));
     for (let i = 0; i < count; i++) {
       const angle = (i / count) * Math.PI * 2;
       const speed = 2 + Math.random() * 3;
@@ -672,13 +1199,15 @@ class Firework extends Effect {
         hueShift: Math.random() * 60 - 30,
       });
     }
+    this.cost = this.particles.length;
   }
   update() {
     super.update();
+    const m = motionScale();
     this.particles.forEach(p => {
-      p.x += p.vx;
-      p.y += p.vy;
-      p.vy += 0.05;
+      p.x += p.vx * m;
+      p.y += p.vy * m;
+      p.vy += 0.05 * m;
       p.vx *= 0.99;
     });
   }
@@ -702,9 +1231,10 @@ class RainbowWave extends Effect {
     this.h = h;
   }
   draw(ctx, w, h) {
-    const alpha = Math.sin(this.progress * Math.PI) * 0.3;
+    // Safe mode keeps the wash faint and its colours slow
+    const alpha = Math.sin(this.progress * Math.PI) * (isSafeMode() ? 0.12 : 0.3);
     ctx.globalAlpha = alpha;
-    const hue = (performance.now() / 5) % 360;
+    const hue = (performance.now() * motionScale() / 5) % 360;
     for (let i = 0; i < 6; i++) {
       ctx.fillStyle = `hsl(${(hue + i * 60) % 360}, 80%, 60%)`;
       const waveY = Math.sin(this.progress * Math.PI * 2 + i * 0.5) * 30;
@@ -714,19 +1244,55 @@ class RainbowWave extends Effect {
   }
 }
 
-function triggerMagic(w, h) {
+// Party mode tints every quadrant and showers it in confetti
+const PARTY_DURATION = 4000;
+let partyUntil = 0;
+
+function isPartyTime() {
+  return performance.now() < partyUntil;
+}
+
+function spillConfetti() {
+  for (const [id, canvas] of Object.entries(canvases)) {
+    if (!isQuadrantEnabled(id)) continue;
+    const w = canvas.width / window.devicePixelRatio;
+    const h = canvas.height / window.devicePixelRatio;
+    for (let i = 0; i < effectAmount(6); i++) {
+      spawnParticle(id,
+        Math.random() * w, -10,
+        {
+          colour: `hsl(${Math.random() * 360}, 85%, 65%)`,
+          shape: ['heart', 'star', 'circle'][Math.floor(Math.random() * 3)],
+          size: 4 + Math.random() * 6,
+          vx: (Math.random() - 0.5) * 3,
+          vy: Math.random() * 2 + 1,
+          gravity: 0.05,
+          duration: 2500,
+        }
+      );
+    }
+  }
+}
+
+function triggerMagic(w, h, level = 0) {
+  if (level >= 2) {
+    partyUntil = performance.now() + PARTY_DURATION;
+  }
+  if (isPartyTime()) spillConfetti();
+
   const roll = Math.random();
   if (roll < 0.3) {
-    effects.magic.push(new FlorenceName(w, h));
+    addEffect(new ChildName(w, h));
   } else if (roll < 0.6) {
-    effects.magic.push(new Firework(w, h));
-    effects.magic.push(new Firework(w, h));
+    for (let i = 0; i < 2 + level; i++) {
+      addEffect(new Firework(w, h));
+    }
   } else {
-    effects.magic.push(new RainbowWave(w, h));
+    addEffect(new RainbowWave(w, h));
   }
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < effectAmount(5); i++) {
     const isHeart = Math.random() < 0.5;
-    effects.magic.push(new Particle('magic',
+    spawnParticle('magic',
       Math.random() * w, Math.random() * h,
       {
         colour: `hsl(${Math.random() * 360}, 80%, 70%)`,
@@ -736,7 +1302,7 @@ function triggerMagic(w, h) {
         vy: -Math.random() * 2,
         duration: 2000,
       }
-    ));
+    );
   }
 }
 
@@ -850,94 +1416,249 @@ function drawIdleMagic(ctx, w, h, t) {
   ctx.font = "bold 24px 'Comic Sans MS', cursive";
   ctx.textAlign = 'center';
   ctx.fillStyle = '#FFF';
-  ctx.fillText('FLORENCE', w / 2, h / 2);
+  ctx.fillText(childName().toUpperCase(), w / 2, h / 2);
   ctx.textAlign = 'start';
   ctx.globalAlpha = 1;
 }
 
-// ===== ZONE TRIGGER =====
-function triggerZone(zone) {
-  playZoneSound(zone);
-  const canvasId = ZONE_TO_CANVAS[zone];
-  zoneFlash[canvasId] = 1.0;
+// ===== LEARNING MODE =====
+// The character pops up over its quadrant's animation with its word below
+class LearningLetter extends Effect {
+  constructor(quadrant, char, w, h) {
+    super(quadrant, 2200);
+    this.char = char;
+    this.word = /[A-Z]/.test(char) ? learningWord(char) : '';
+    this.x = w / 2;
+    this.y = h / 2;
+    this.size = Math.min(w, h) * 0.55;
+  }
+  draw(ctx, w, h) {
+    const p = this.progress;
+    const pop = p < 0.15 ? 0.6 + (p / 0.15) * 0.5 : 1.1 - Math.min(0.1, (p - 0.15));
+    const alpha = p > 0.75 ? (1 - p) / 0.25 : 1;
+    drawLearningChar(ctx, this.char, this.x, this.y - this.size * 0.1, this.size * pop, alpha);
+    if (this.word) {
+      drawLearningChar(ctx, this.word, this.x, this.y + this.size * 0.5, this.size * 0.2, alpha);
+    }
+  }
+}
+
+function showLearningChar(code) {
+  const canvasId = ZONE_TO_CANVAS[getZone(code)];
+  if (!isQuadrantEnabled(canvasId)) return;
+  const char = learnKey(code);
+  if (!char) return;
+  // One character at a time per quadrant
+  effects[canvasId].forEach(e => {
+    if (e instanceof LearningLetter) e.dead = true;
+  });
   const canvas = canvases[canvasId];
   const w = canvas.width / window.devicePixelRatio;
   const h = canvas.height / window.devicePixelRatio;
-
-  if (zone === 'left') triggerDino(w, h);
-  if (zone === 'right') triggerSpace(w, h);
-  if (zone === 'space') triggerParade(w, h);
-  if (zone === 'special') triggerMagic(w, h);
+  addEffect(new LearningLetter(canvasId, char, w, h));
 }
 
-// ===== KEYBOARD HANDLING =====
-let started = false;
+// ===== MUSIC BOX =====
+// With the music box on, every key plays its own note of a C major scale:
+// the keyboard row picks the octave (space bar lowest, function keys
+// highest) and the column walks up the scale within it, while the zone
+// still picks the timbre. Whatever the child plays is recorded, and once
+// they pause it is played back over and over while the parade dances along,
+// until the next press.
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+const NOTE_NAMES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NOTE_COLOURS = {
+  C: '#E53935', D: '#FB8C00', E: '#FDD835', F: '#43A047',
+  G: '#00ACC1', A: '#5E35B1', B: '#D81B60',
+};
+const LOWEST_C = 65.41;      // C2, the space bar row
+const HIGHEST_NOTE = 2100;   // anything above C7 folds down an octave
+const REPLAY_PAUSE_MS = 2000;
+const REPLAY_LEAD_MS = 400;
+const REPLAY_LOOP_GAP_MS = 1200; // after the last note, before it starts again
+const MAX_RECORDED_NOTES = 32;
+
+let musicTake = [];
+let lastMusicNoteTime = 0;
+let replay = null;
+
+function scaleNote(row, column) {
+  const degree = column % MAJOR_SCALE.length;
+  let freq = LOWEST_C * Math.pow(2, row + MAJOR_SCALE[degree] / 12);
+  while (freq > HIGHEST_NOTE) freq /= 2;
+  return { freq, name: NOTE_NAMES[degree] };
+}
 
-document.addEventListener('keydown', (e) => {
-  e.preventDefault();
-  e.stopPropagation();
+// Keys off the row map still get a fixed note, in the middle of the range
+function keyNote(code) {
+  const pos = keyPosition(code);
+  if (pos) return scaleNote(pos.row, pos.column);
+  let hash = 0;
+  for (const ch of code) hash = (hash * 31 + ch.charCodeAt(0)) % 997;
+  return scaleNote(2, hash % MAJOR_SCALE.length);
+}
 
-  if (!started) {
-    started = true;
-    hideStartScreen();
-    enterFullscreen();
-    initAudio();
-  }
+// Each pad button keeps one note in the middle of the range, so a tune on
+// the pad plays the same way twice
+function padNote(button) {
+  return scaleNote(2, button);
+}
 
-  const zone = getZone(e.code);
-  triggerZone(zone);
-});
+// Touches follow the same shape: higher up the screen is higher in pitch
+function touchNote(touch) {
+  const row = Math.min(5, Math.floor((1 - touch.clientY / window.innerHeight) * 6));
+  const column = Math.min(13, Math.floor((touch.clientX / window.innerWidth) * 14));
+  return scaleNote(row, column);
+}
 
-document.addEventListener('keyup', (e) => { e.preventDefault(); });
+function playMusicNote(zone, note) {
+  playZoneTone(zone, note.freq);
+  const now = performance.now();
+  replay = null;
+  if (musicTake.length >= MAX_RECORDED_NOTES) musicTake.shift();
+  musicTake.push({ zone, note, at: now });
+  lastMusicNoteTime = now;
+}
 
-// ===== TOUCH HANDLING =====
-function getTouchZone(touch) {
-  const x = touch.clientX;
-  const y = touch.clientY;
-  const midX = window.innerWidth / 2;
-  const midY = window.innerHeight / 2;
-  if (x < midX && y < midY) return 'left';     // top-left → dinos
-  if (x >= midX && y < midY) return 'right';    // top-right → space
-  if (x < midX && y >= midY) return 'space';    // bottom-left → parade
-  return 'special';                              // bottom-right → magic
+// The tune is dropped, not paused, so it doesn't start up again after the
+// goodbye screen or the parent menu
+function stopMusicBox() {
+  replay = null;
+  musicTake = [];
 }
 
-document.addEventListener('touchstart', (e) => {
-  e.preventDefault();
-  if (!started) {
-    started = true;
-    hideStartScreen();
-    enterFullscreen();
-    initAudio();
+onSessionEnd(stopMusicBox);
+onParentOpen(stopMusicBox);
+
+// Called every frame: starts a replay after a pause, then plays its notes
+// and loops back to the first. Silent while the parent lock is open or the
+// session is over.
+function updateReplay() {
+  if (inputPaused || inputIgnored) return;
+  const now = performance.now();
+  if (!replay && musicTake.length && now - lastMusicNoteTime > REPLAY_PAUSE_MS) {
+    const first = musicTake[0].at;
+    replay = {
+      notes: musicTake.map(n => ({ ...n, at: n.at - first })),
+      start: now + REPLAY_LEAD_MS,
+      next: 0,
+    };
+    musicTake = [];
+  }
+  if (!replay) return;
+  while (replay.next < replay.notes.length && now - replay.start >= replay.notes[replay.next].at) {
+    playReplayNote(replay.notes[replay.next++]);
   }
-  for (const touch of e.changedTouches) {
-    triggerZone(getTouchZone(touch));
+  if (replay.next >= replay.notes.length) {
+    replay.start = now + REPLAY_LOOP_GAP_MS;
+    replay.next = 0;
   }
-}, { passive: false });
+}
 
-document.addEventListener('touchmove', (e) => {
-  e.preventDefault();
-}, { passive: false });
+function playReplayNote({ zone, note }) {
+  playZoneTone(zone, note.freq);
+  if (!isQuadrantEnabled('parade')) return;
+  const canvas = canvases.parade;
+  const w = canvas.width / window.devicePixelRatio;
+  const h = canvas.height / window.devicePixelRatio;
+  const dancers = effects.parade.filter(e => e instanceof CharacterWalk);
+  if (!dancers.length) dancers.push(addEffect(new CharacterWalk(w, h)));
+  dancers.forEach(d => { d.hop = 1; });
+  addEffect(new MusicNote(w, h, note));
+}
+
+// ===== ZONE TRIGGER =====
+// A click or tap also bursts out of the exact spot it landed
+const TAP_BURSTS = {
+  dino: { colour: '#8BC34A', shape: 'circle' },
+  space: { colour: '#FFF59D', shape: 'star' },
+  parade: { colour: '#FFB74D', shape: 'star' },
+  magic: { colour: '#F48FB1', shape: 'heart' },
+};
+
+// The touch's screen position inside a quadrant's canvas
+function canvasPoint(canvasId, touch) {
+  const rect = canvases[canvasId].getBoundingClientRect();
+  return {
+    x: Math.max(0, Math.min(rect.width, touch.clientX - rect.left)),
+    y: Math.max(0, Math.min(rect.height, touch.clientY - rect.top)),
+  };
+}
+
+function tapBurst(canvasId, at) {
+  const { colour, shape } = TAP_BURSTS[canvasId];
+  const count = effectAmount(8);
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
+    const speed = 2 + Math.random() * 2;
+    spawnParticle(canvasId, at.x, at.y, {
+      colour, shape,
+      size: 5 + Math.random() * 5,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      gravity: 0.02,
+      duration: 900,
+    });
+  }
+}
 
-document.addEventListener('touchend', (e) => {
-  e.preventDefault();
-}, { passive: false });
+// note is a music box note (see keyNote) to play instead of a random one.
+// touch is the click or tap that triggered it, if there was one.
+function triggerZone(zone, note = null, touch = null) {
+  replay = null; // any press stops the music box's tune
+  const canvasId = ZONE_TO_CANVAS[zone];
+  if (!isQuadrantEnabled(canvasId)) return;
+  const level = addIntensity(canvasId);
+  if (note) {
+    playMusicNote(zone, note);
+  } else {
+    // The conga line builds a tune instead of random notes
+    playZoneSound(zone, zone === 'space' && level > 0 ? nextCongaNote() : undefined);
+  }
+  if (allowFlash()) zoneFlash[canvasId] = 1.0;
+  const canvas = canvases[canvasId];
+  const w = canvas.width / window.devicePixelRatio;
+  const h = canvas.height / window.devicePixelRatio;
 
-function enterFullscreen() {
-  const el = document.documentElement;
-  if (el.requestFullscreen) el.requestFullscreen();
-  else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
+  if (zone === 'left') triggerDino(w, h, level);
+  if (zone === 'right') triggerSpace(w, h, level);
+  if (zone === 'space') triggerParade(w, h, level, note);
+  if (zone === 'special') triggerMagic(w, h, level);
+  if (touch) tapBurst(canvasId, canvasPoint(canvasId, touch));
 }
 
-// Prevent right-click, browser shortcuts
-document.addEventListener('contextmenu', e => e.preventDefault());
-window.addEventListener('beforeunload', e => {
-  e.preventDefault();
-  e.returnValue = '';
+// ===== INPUT =====
+// Touches, mouse clicks and pen taps all arrive through onTouch
+startInsights('world');
+initInput({
+  onStart: initAudio,
+  onKey: (code) => {
+    triggerZone(getZone(code), settings.musicBox ? keyNote(code) : null);
+    showLearningChar(code);
+  },
+  onTouch: (touch) => triggerZone(getTouchZone(touch), settings.musicBox ? touchNote(touch) : null, touch),
+  onPad: (zone, button) => triggerZone(zone, settings.musicBox ? padNote(button) : null),
 });
 
+// Prevent accidentally leaving the page
+guardAgainstLeaving();
+
 // ===== GAME LOOP =====
+let lastFrameTime = 0;
+let idleClock = 0;
+
 function gameLoop(timestamp) {
+  const dt = lastFrameTime ? timestamp - lastFrameTime : 0;
+  lastFrameTime = timestamp;
+  trackFrameTime(dt);
+  decayIntensity(dt);
+  updateReplay();
+  const party = isPartyTime();
+
+  // Idle scenery slows to a crawl as the session winds down
+  const windDown = updateSession();
+  idleClock += dt * (1 - windDown * 0.85);
+
   for (const [id, ctx] of Object.entries(contexts)) {
     const canvas = canvases[id];
     const w = canvas.width / window.devicePixelRatio;
@@ -945,12 +1666,23 @@ function gameLoop(timestamp) {
 
     ctx.clearRect(0, 0, w, h);
 
+    // Screen shake
+    ctx.save();
+    if (shake[id] > 0) {
+      if (!isSafeMode()) {
+        ctx.translate((Math.random() - 0.5) * shake[id] * 2, (Math.random() - 0.5) * shake[id] * 2);
+      }
+      shake[id] *= 0.88;
+      if (shake[id] < 0.5) shake[id] = 0;
+    }
+
     // Draw idle animations
-    drawIdle(id, ctx, w, h, timestamp);
+    drawIdle(id, ctx, w, h, idleClock);
+    drawThemeDecorations(ctx, w, h, idleClock / 1000);
 
     // Zone flash overlay
     if (zoneFlash[id] > 0) {
-      ctx.globalAlpha = zoneFlash[id] * 0.15;
+      ctx.globalAlpha = flashAlpha(zoneFlash[id] * 0.15);
       ctx.fillStyle = '#FFF';
       ctx.fillRect(0, 0, w, h);
       ctx.globalAlpha = 1;
@@ -958,13 +1690,17 @@ function gameLoop(timestamp) {
       if (zoneFlash[id] < 0.01) zoneFlash[id] = 0;
     }
 
-    // Draw active effects
-    const list = effects[id];
-    for (let i = list.length - 1; i >= 0; i--) {
-      list[i].update();
-      list[i].draw(ctx, w, h);
-      if (list[i].dead) list.splice(i, 1);
+    // Party mode overlay
+    if (party) {
+      ctx.globalAlpha = 0.12;
+      ctx.fillStyle = `hsl(${(timestamp * motionScale() / 8) % 360}, 90%, 60%)`;
+      ctx.fillRect(0, 0, w, h);
+      ctx.globalAlpha = 1;
     }
+
+    // Draw active effects
+    runEffects(id, ctx, w, h);
+    ctx.restore();
   }
   requestAnimationFrame(gameLoop);
 }
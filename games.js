@@ -0,0 +1,62 @@
+// Florence's Games - Game Registry
+// Every game in one list. The launcher builds its cards from it, and the
+// settings and insights pages take their game names from it, so a new game
+// needs an entry here, its page, and a line in sw.js's precache list.
+'use strict';
+
+const NEW_BADGE_DAYS = 30; // a game wears its NEW badge this long after it's added
+
+// title follows the child's name ("Florence's Ocean"). colours are the
+// card's gradient stops, added is the day the game went live.
+const GAMES = [
+  {
+    id: 'world',
+    title: 'World',
+    emoji: '🦕🚀',
+    description: 'Dinosaurs, space, characters & magic!',
+    colours: ['#1a237e', '#4a148c', '#e91e63'],
+    page: 'world.html',
+    added: '2026-02-27',
+  },
+  {
+    id: 'splash',
+    title: 'Splash',
+    emoji: '🎨',
+    description: 'Paint, stamp & make art!',
+    colours: ['#ff6f00', '#e91e63', '#9c27b0'],
+    page: 'splash.html',
+    added: '2026-10-05',
+  },
+  {
+    id: 'ocean',
+    title: 'Ocean',
+    emoji: '🐠🐋',
+    description: 'Fish, whales & underwater magic!',
+    colours: ['#006064', '#0277bd', '#00bcd4'],
+    page: 'ocean.html',
+    added: '2026-10-05',
+  },
+  {
+    id: 'garden',
+    title: 'Garden',
+    emoji: '🌸🦋',
+    description: 'Walk around & explore with arrow keys!',
+    colours: ['#2e7d32', '#66bb6a', '#ffeb3b'],
+    page: 'garden.html',
+    added: '2026-10-05',
+  },
+];
+
+function gameById(id) {
+  return GAMES.find(game => game.id === id);
+}
+
+// Games a grown-up hasn't switched off in settings
+function enabledGames() {
+  return GAMES.filter(game => settings.games[game.id] !== false);
+}
+
+function isNewGame(game) {
+  const age = Date.now() - new Date(`${game.added}T00:00`).getTime();
+  return age < NEW_BADGE_DAYS * 24 * 60 * 60 * 1000;
+}
@@ -0,0 +1,292 @@
+// Florence's Games - Shared Input
+// Loaded by every game page before its own script. Owns the keyboard zone
+// table, touch-to-zone mapping, touch/mouse/pen pointers, gamepads, held-key
+// suppression and first-interaction startup, so a change here behaves the
+// same in every game. Every press and touch that reaches a game is logged
+// for the insights page, so insights.js must be loaded too.
+'use strict';
+
+// ===== KEYBOARD ZONES =====
+// The zone split comes from the parent's chosen layout preset (layouts.js),
+// so settings.js and layouts.js must be loaded first.
+const ZONES = buildZones(settings.keyboardLayout);
+
+function getZone(code) {
+  return findZone(ZONES, code);
+}
+
+// False for keys outside every zone, which getZone sends to the left zone
+function isZoneKey(code) {
+  return Object.values(ZONES).some(keys => keys.has(code));
+}
+
+// ===== TOUCH ZONES =====
+// Screen quadrants mirror the keyboard: top-left/top-right are the left and
+// right halves of the keyboard, bottom-left is the space bar, bottom-right
+// is the special keys. A page with its own screen layout passes touchZone to
+// initInput instead.
+function getTouchZone(touch) {
+  if (inputHandlers.touchZone) return inputHandlers.touchZone(touch);
+  const x = touch.clientX;
+  const y = touch.clientY;
+  const midX = window.innerWidth / 2;
+  const midY = window.innerHeight / 2;
+  if (x < midX && y < midY) return 'left';
+  if (x >= midX && y < midY) return 'right';
+  if (x < midX && y >= midY) return 'space';
+  return 'special';
+}
+
+// ===== HELD KEYS =====
+const heldKeys = new Set();
+
+function isKeyHeld(code) {
+  return heldKeys.has(code);
+}
+
+// A key released while the window is unfocused never sends keyup
+window.addEventListener('blur', () => heldKeys.clear());
+
+// ===== PAUSING =====
+// While paused (the parent lock is open) keys and touches are left alone so
+// the page's own controls work, and nothing reaches the game.
+let inputPaused = false;
+
+function pauseInput(paused) {
+  inputPaused = paused;
+  heldKeys.clear();
+}
+
+// While ignored (the session is over) input is still swallowed so the page
+// stays toddler-proof, but nothing reaches the game.
+let inputIgnored = false;
+
+function ignoreInput(ignored) {
+  inputIgnored = ignored;
+  heldKeys.clear();
+}
+
+// ===== STARTUP =====
+let started = false;
+let inputHandlers = {};
+
+function enterFullscreen() {
+  const el = document.documentElement;
+  try {
+    if (el.requestFullscreen) el.requestFullscreen().catch(() => {});
+    else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
+  } catch (err) {}
+}
+
+function hideStartScreen() {
+  const el = document.getElementById('start-screen');
+  if (el) el.classList.add('hidden');
+}
+
+// Runs the first-interaction startup once. Returns true if this call started
+// the game, so callers can swallow the input that woke it up.
+function ensureStarted() {
+  if (started || inputPaused || inputIgnored) return false;
+  started = true;
+  hideStartScreen();
+  enterFullscreen();
+  if (inputHandlers.onStart) inputHandlers.onStart();
+  return true;
+}
+
+// Wires up a page. Handlers (all optional):
+//   onStart()          first input of any kind, after fullscreen is requested
+//   onKey(code, e)     key pressed (not repeated unless allowRepeat)
+//   onKeyUp(code, e)   key released
+//   onTouch(touch)     finger, mouse button or pen pressed (see pointerPoint)
+//   onTouchMove(touch) that point dragged
+//   onTouchEnd(touch)  that point lifted or cancelled
+//   onPad(zone, button)
+//                      gamepad button pressed (see PAD_BUTTON_ZONES)
+// Options:
+//   allowRepeat        deliver OS key-repeat while a key is held
+//   consumeStart       the input that starts the game only starts it
+//   ignoreUnknownKeys  keys outside every zone do nothing, rather than
+//                      counting as the left zone
+//   touchZone(touch)   the page's own touch-to-zone mapping (getTouchZone)
+function initInput(handlers) {
+  inputHandlers = handlers;
+}
+
+// ===== KEYBOARD HANDLING =====
+document.addEventListener('keydown', (e) => {
+  if (inputPaused) return;
+  e.preventDefault();
+  e.stopPropagation();
+
+  if (inputIgnored) return;
+
+  const repeated = heldKeys.has(e.code);
+  heldKeys.add(e.code);
+  if (repeated && !inputHandlers.allowRepeat) return;
+
+  if (ensureStarted() && inputHandlers.consumeStart) return;
+  if (inputHandlers.ignoreUnknownKeys && !isZoneKey(e.code)) return;
+  logInput('press', getZone(e.code), 'key');
+  if (inputHandlers.onKey) inputHandlers.onKey(e.code, e);
+}, { capture: true });
+
+document.addEventListener('keyup', (e) => {
+  if (inputPaused) return;
+  e.preventDefault();
+  e.stopPropagation();
+  heldKeys.delete(e.code);
+  if (inputIgnored) return;
+  if (inputHandlers.onKeyUp) inputHandlers.onKeyUp(e.code, e);
+}, { capture: true });
+
+// ===== POINTER HANDLING =====
+// Touch, mouse and pen all arrive as pointer events and reach the page as
+// the same touch-shaped point, so a big trackball works wherever fingers do.
+// A mouse or pen only counts while it is pressed; hovering does nothing.
+const activePointers = new Set();
+
+// identifier matches Touch, so page handlers can track points by it.
+// pressure is 0-1; devices that can't sense it report 0.5 while pressed.
+function pointerPoint(e) {
+  return {
+    clientX: e.clientX,
+    clientY: e.clientY,
+    identifier: e.pointerId,
+    pointerType: e.pointerType,
+    pressure: e.pressure || 0.5,
+  };
+}
+
+document.addEventListener('pointerdown', (e) => {
+  if (inputPaused) return;
+  e.preventDefault();
+  if (inputIgnored) return;
+  if (ensureStarted() && inputHandlers.consumeStart) return;
+  // Keep the drag when a mouse wanders off the edge of the window
+  try {
+    e.target.setPointerCapture(e.pointerId);
+  } catch (err) {}
+  activePointers.add(e.pointerId);
+  const point = pointerPoint(e);
+  logInput('touch', getTouchZone(point), point.pointerType);
+  if (inputHandlers.onTouch) inputHandlers.onTouch(point);
+});
+
+document.addEventListener('pointermove', (e) => {
+  if (inputPaused || !activePointers.has(e.pointerId)) return;
+  e.preventDefault();
+  if (inputIgnored || !inputHandlers.onTouchMove) return;
+  inputHandlers.onTouchMove(pointerPoint(e));
+});
+
+function dispatchPointerEnd(e) {
+  if (!activePointers.delete(e.pointerId)) return;
+  if (inputHandlers.onTouchEnd) inputHandlers.onTouchEnd(pointerPoint(e));
+}
+
+document.addEventListener('pointerup', dispatchPointerEnd);
+document.addEventListener('pointercancel', dispatchPointerEnd);
+
+// Pointer events do the work; the touch events are only cancelled so the
+// browser can't scroll, zoom or fake mouse clicks from them
+function blockTouch(e) {
+  if (!inputPaused) e.preventDefault();
+}
+
+document.addEventListener('touchstart', blockTouch, { passive: false });
+document.addEventListener('touchmove', blockTouch, { passive: false });
+
+// ===== GAMEPADS =====
+// Connected pads are polled every frame while any is plugged in, including
+// ones that arrive mid-game. Face buttons and bumpers press a zone, like a
+// key; the left stick and d-pad are read by games with someone to steer
+// (padStick). Button numbers are the browser's standard mapping, which most
+// USB pads get. Browsers don't count a pad press as a user gesture, so on
+// its own it can't always go fullscreen or unlock sound.
+const PAD_BUTTON_ZONES = {
+  0: 'space',   // A, the jump in the garden
+  1: 'right',   // B
+  2: 'left',    // X
+  3: 'special', // Y
+  4: 'left',    // left bumper
+  5: 'right',   // right bumper
+};
+const PAD_DPAD = { up: 12, down: 13, left: 14, right: 15 };
+const PAD_DEAD_ZONE = 0.25;
+
+const padButtonsDown = {}; // pad index -> Set of buttons held last poll
+let padPolling = false;
+
+// getGamepads() leaves nulls in the slots of unplugged pads
+function connectedPads() {
+  if (!navigator.getGamepads) return [];
+  return Array.from(navigator.getGamepads()).filter(Boolean);
+}
+
+function pressPadButton(zone, button) {
+  if (inputPaused || inputIgnored) return;
+  if (ensureStarted() && inputHandlers.consumeStart) return;
+  logInput('press', zone, 'pad');
+  if (inputHandlers.onPad) inputHandlers.onPad(zone, button);
+}
+
+// Only the moment a button goes down counts, so holding one isn't a flurry
+function pollPads() {
+  const pads = connectedPads();
+  for (const pad of pads) {
+    if (!padButtonsDown[pad.index]) padButtonsDown[pad.index] = new Set();
+    const down = padButtonsDown[pad.index];
+    pad.buttons.forEach((button, i) => {
+      if (!button.pressed) {
+        down.delete(i);
+      } else if (!down.has(i)) {
+        down.add(i);
+        if (i in PAD_BUTTON_ZONES) pressPadButton(PAD_BUTTON_ZONES[i], i);
+      }
+    });
+  }
+  padPolling = pads.length > 0;
+  if (padPolling) requestAnimationFrame(pollPads);
+}
+
+function startPadPolling() {
+  if (padPolling) return;
+  padPolling = true;
+  requestAnimationFrame(pollPads);
+}
+
+// Left stick plus d-pad from every pad, each axis -1 to 1
+function padStick() {
+  let x = 0;
+  let y = 0;
+  if (inputPaused || inputIgnored) return { x, y };
+  for (const pad of connectedPads()) {
+    const stickX = pad.axes[0] || 0;
+    const stickY = pad.axes[1] || 0;
+    if (Math.sqrt(stickX * stickX + stickY * stickY) > PAD_DEAD_ZONE) {
+      x += stickX;
+      y += stickY;
+    }
+    const held = i => pad.buttons[i] && pad.buttons[i].pressed;
+    if (held(PAD_DPAD.left)) x -= 1;
+    if (held(PAD_DPAD.right)) x += 1;
+    if (held(PAD_DPAD.up)) y -= 1;
+    if (held(PAD_DPAD.down)) y += 1;
+  }
+  return { x: Math.max(-1, Math.min(1, x)), y: Math.max(-1, Math.min(1, y)) };
+}
+
+window.addEventListener('gamepadconnected', startPadPolling);
+window.addEventListener('gamepaddisconnected', (e) => {
+  delete padButtonsDown[e.gamepad.index];
+});
+// A pad already in use before a reload doesn't announce itself again
+if (connectedPads().length) startPadPolling();
+
+// ===== TODDLER-PROOFING =====
+document.addEventListener('contextmenu', e => e.preventDefault());
+document.addEventListener('dragstart', e => e.preventDefault());
+document.addEventListener('selectstart', (e) => {
+  if (!inputPaused) e.preventDefault();
+});
@@ -0,0 +1,125 @@
+// Florence's Games - Play Insights
+// A local diary of how the games are played, for the grown-ups' insights
+// page. Nothing leaves the device: events go to IndexedDB and only a parent
+// can export or wipe them. Each game page calls startInsights() with its
+// name; input.js logs presses and touches, and games log their own moments
+// (garden finds, filed paintings) with logEvent().
+// Play time is counted in sessions that start with the first input and end
+// when the page is hidden or nobody has touched anything for a while. The
+// session-end is written at that moment, while the page is still alive,
+// because a write started as the page unloads can be cut off.
+'use strict';
+
+const INSIGHTS_DB = 'florence-insights';
+const INSIGHTS_STORE = 'events';
+const INSIGHTS_FLUSH_MS = 5000;           // events are written in batches
+const INSIGHTS_IDLE_MS = 2 * 60 * 1000;   // a quiet gap this long ends a session
+
+let insightsDb = null;
+let insightsGame = null;
+let pendingInsights = [];
+let insightsFlushTimer = null;
+let playSession = null; // { start, lastActive } while someone is playing
+let playIdleTimer = null;
+
+function openInsightsDb() {
+  if (insightsDb) return insightsDb;
+  insightsDb = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(INSIGHTS_DB, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(INSIGHTS_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('time', 'time');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return insightsDb;
+}
+
+// Same shape as withPaintings: one transaction, resolved once committed
+async function withInsights(mode, fn) {
+  const db = await openInsightsDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(INSIGHTS_STORE, mode);
+    const request = fn(tx.objectStore(INSIGHTS_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Oldest first
+async function listInsightEvents() {
+  const all = await withInsights('readonly', store => store.getAll());
+  return all.sort((a, b) => a.time - b.time);
+}
+
+function clearInsights() {
+  return withInsights('readwrite', store => store.clear());
+}
+
+// ===== LOGGING =====
+function startInsights(game) {
+  insightsGame = game;
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) endPlaySession();
+  });
+  // Only a fallback: browsers that skip visibilitychange on unload
+  window.addEventListener('pagehide', endPlaySession);
+}
+
+// type is e.g. 'press', 'collect'; detail is merged into the record
+function logEvent(type, detail = {}) {
+  if (!insightsGame) return;
+  pendingInsights.push({
+    time: Date.now(),
+    game: insightsGame,
+    child: activeProfile().id,
+    type,
+    ...detail,
+  });
+  if (!insightsFlushTimer) insightsFlushTimer = setTimeout(flushInsights, INSIGHTS_FLUSH_MS);
+}
+
+function flushInsights() {
+  clearTimeout(insightsFlushTimer);
+  insightsFlushTimer = null;
+  if (!pendingInsights.length || !window.indexedDB) return;
+  const batch = pendingInsights;
+  pendingInsights = [];
+  withInsights('readwrite', store => {
+    for (const event of batch) store.add(event);
+  }).catch(() => {});
+}
+
+// A press or touch reaching the game. source is 'key', 'pad' or 'pointer'.
+function logInput(type, zone, source) {
+  const now = Date.now();
+  if (playSession && now - playSession.lastActive > INSIGHTS_IDLE_MS) endPlaySession();
+  if (!playSession) {
+    playSession = { start: now, lastActive: now };
+    logEvent('session-start');
+  }
+  playSession.lastActive = now;
+  clearTimeout(playIdleTimer);
+  playIdleTimer = setTimeout(endPlaySession, INSIGHTS_IDLE_MS);
+  logEvent(type, { zone, source });
+}
+
+// Counts play up to the last input, so a game left open idle adds nothing
+function endPlaySession() {
+  clearTimeout(playIdleTimer);
+  playIdleTimer = null;
+  if (playSession) {
+    logEvent('session-end', {
+      time: playSession.lastActive,
+      duration: playSession.lastActive - playSession.start,
+    });
+    playSession = null;
+  }
+  flushInsights();
+}
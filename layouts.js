@@ -0,0 +1,205 @@
+// Florence's Games - Keyboard Layouts
+// Named presets that split a physical keyboard into the four zones. Key codes
+// are physical positions (KeyboardEvent.code), so a German QWERTZ board uses
+// the same preset as an English one of the same shape.
+'use strict';
+
+const ARROW_KEYS = ['ArrowUp','ArrowDown','ArrowLeft','ArrowRight'];
+const NAV_KEYS = ['Insert','Home','End','PageUp','PageDown','Delete','PrintScreen','ScrollLock','Pause'];
+const NUMPAD_KEYS = [
+  'NumLock','NumpadDivide','NumpadMultiply','NumpadSubtract',
+  'Numpad7','Numpad8','Numpad9','NumpadAdd',
+  'Numpad4','Numpad5','Numpad6',
+  'Numpad1','Numpad2','Numpad3','NumpadEnter',
+  'Numpad0','NumpadDecimal',
+];
+
+const KEYBOARD_LAYOUTS = {
+  // Dell UK full size: the original split from the design doc
+  uk: {
+    name: 'UK full size',
+    description: 'Full keyboard with a number pad',
+    zones: {
+      left: [
+        'Escape','F1','F2','F3','F4',
+        'Backquote','Digit1','Digit2','Digit3','Digit4','Digit5',
+        'Tab','KeyQ','KeyW','KeyE','KeyR','KeyT',
+        'CapsLock','KeyA','KeyS','KeyD','KeyF','KeyG',
+        'ShiftLeft','IntlBackslash','KeyZ','KeyX','KeyC','KeyV','KeyB',
+        'ControlLeft','MetaLeft','AltLeft',
+      ],
+      right: [
+        'F5','F6','F7','F8','F9','F10','F11','F12',
+        'Digit6','Digit7','Digit8','Digit9','Digit0','Minus','Equal','Backspace',
+        'KeyY','KeyU','KeyI','KeyO','KeyP','BracketLeft','BracketRight',
+        'KeyH','KeyJ','KeyK','KeyL','Semicolon','Quote','Backslash','Enter',
+        'KeyN','KeyM','Comma','Period','Slash','ShiftRight',
+        'ControlRight',
+      ],
+      space: ['Space','AltRight','MetaRight','ContextMenu'],
+      special: [...NAV_KEYS, ...ARROW_KEYS, ...NUMPAD_KEYS],
+    },
+  },
+
+  // US ANSI full size: no key beside left Shift, backslash above Enter
+  us: {
+    name: 'US full size',
+    description: 'Full ANSI keyboard with a number pad',
+    zones: {
+      left: [
+        'Escape','F1','F2','F3','F4',
+        'Backquote','Digit1','Digit2','Digit3','Digit4','Digit5',
+        'Tab','KeyQ','KeyW','KeyE','KeyR','KeyT',
+        'CapsLock','KeyA','KeyS','KeyD','KeyF','KeyG',
+        'ShiftLeft','KeyZ','KeyX','KeyC','KeyV','KeyB',
+        'ControlLeft','MetaLeft','AltLeft',
+      ],
+      right: [
+        'F5','F6','F7','F8','F9','F10','F11','F12',
+        'Digit6','Digit7','Digit8','Digit9','Digit0','Minus','Equal','Backspace',
+        'KeyY','KeyU','KeyI','KeyO','KeyP','BracketLeft','BracketRight','Backslash',
+        'KeyH','KeyJ','KeyK','KeyL','Semicolon','Quote','Enter',
+        'KeyN','KeyM','Comma','Period','Slash','ShiftRight',
+        'ControlRight',
+      ],
+      space: ['Space','AltRight','MetaRight','ContextMenu'],
+      special: [...NAV_KEYS, ...ARROW_KEYS, ...NUMPAD_KEYS],
+    },
+  },
+
+  // Laptops and tenkeyless boards: with no number pad, the right-hand
+  // column of the main block joins the arrows as Florence's Magic
+  compact: {
+    name: 'Laptop / compact',
+    description: 'No number pad (also German QWERTZ laptops)',
+    zones: {
+      left: [
+        'Escape','F1','F2','F3','F4',
+        'Backquote','Digit1','Digit2','Digit3','Digit4',
+        'Tab','KeyQ','KeyW','KeyE','KeyR',
+        'CapsLock','KeyA','KeyS','KeyD','KeyF',
+        'ShiftLeft','IntlBackslash','KeyZ','KeyX','KeyC','KeyV',
+      ],
+      right: [
+        'F5','F6','F7','F8',
+        'Digit5','Digit6','Digit7','Digit8','Digit9',
+        'KeyT','KeyY','KeyU','KeyI','KeyO',
+        'KeyG','KeyH','KeyJ','KeyK',
+        'KeyB','KeyN','KeyM','Comma',
+      ],
+      space: [
+        'Space','ControlLeft','MetaLeft','AltLeft',
+        'AltRight','MetaRight','ContextMenu','ControlRight',
+      ],
+      special: [
+        'F9','F10','F11','F12',
+        'Digit0','Minus','Equal','Backspace',
+        'KeyP','BracketLeft','BracketRight','Backslash',
+        'KeyL','Semicolon','Quote','Enter',
+        'Period','Slash','ShiftRight',
+        ...ARROW_KEYS, ...NAV_KEYS, ...NUMPAD_KEYS,
+      ],
+    },
+  },
+
+  // Apple keyboards: Cmd and Option hug the space bar, the F-row is mostly
+  // media keys and there is no Insert, so Magic takes the right-hand column
+  mac: {
+    name: 'Mac',
+    description: 'Apple Magic Keyboard or MacBook',
+    zones: {
+      left: [
+        'Escape','F1','F2','F3','F4',
+        'IntlBackslash','Backquote','Digit1','Digit2','Digit3','Digit4',
+        'Tab','KeyQ','KeyW','KeyE','KeyR',
+        'CapsLock','KeyA','KeyS','KeyD','KeyF',
+        'ShiftLeft','KeyZ','KeyX','KeyC','KeyV',
+      ],
+      right: [
+        'F5','F6','F7','F8',
+        'Digit5','Digit6','Digit7','Digit8','Digit9',
+        'KeyT','KeyY','KeyU','KeyI','KeyO',
+        'KeyG','KeyH','KeyJ','KeyK',
+        'KeyB','KeyN','KeyM','Comma',
+      ],
+      space: [
+        'Space','MetaLeft','MetaRight','AltLeft','AltRight',
+        'ControlLeft','ControlRight',
+      ],
+      special: [
+        'F9','F10','F11','F12','F13','F14','F15',
+        'Digit0','Minus','Equal','Backspace',
+        'KeyP','BracketLeft','BracketRight','Backslash',
+        'KeyL','Semicolon','Quote','Enter',
+        'Period','Slash','ShiftRight',
+        ...ARROW_KEYS, 'Home','End','PageUp','PageDown','Delete', ...NUMPAD_KEYS,
+      ],
+    },
+  },
+};
+
+const DEFAULT_LAYOUT = 'uk';
+
+function buildZones(layoutId) {
+  const layout = KEYBOARD_LAYOUTS[layoutId] || KEYBOARD_LAYOUTS[DEFAULT_LAYOUT];
+  const zones = {};
+  for (const [zone, codes] of Object.entries(layout.zones)) {
+    zones[zone] = new Set(codes);
+  }
+  return zones;
+}
+
+function findZone(zones, code) {
+  for (const [zone, keys] of Object.entries(zones)) {
+    if (keys.has(code)) return zone;
+  }
+  return 'left'; // fallback - any unknown key goes to the left zone
+}
+
+// ===== KEY ROWS =====
+// Physical rows from the space bar (0) up to the function keys (5), for
+// games that care where a key sits rather than which zone it is in. Each row
+// is a list of runs (main block, number pad, navigation cluster) and every
+// run counts its columns from the left starting at 0.
+const KEY_ROWS = [
+  [
+    ['ControlLeft','MetaLeft','AltLeft','Space','AltRight','MetaRight','ContextMenu','ControlRight'],
+    ['Numpad0','NumpadDecimal'],
+  ],
+  [
+    ['ShiftLeft','IntlBackslash','KeyZ','KeyX','KeyC','KeyV','KeyB','KeyN','KeyM','Comma','Period','Slash','ShiftRight'],
+    ['Numpad1','Numpad2','Numpad3','NumpadEnter'],
+    ['ArrowLeft','ArrowDown','ArrowRight'],
+  ],
+  [
+    ['CapsLock','KeyA','KeyS','KeyD','KeyF','KeyG','KeyH','KeyJ','KeyK','KeyL','Semicolon','Quote','Backslash','Enter'],
+    ['Numpad4','Numpad5','Numpad6','NumpadAdd'],
+    ['ArrowUp'],
+  ],
+  [
+    ['Tab','KeyQ','KeyW','KeyE','KeyR','KeyT','KeyY','KeyU','KeyI','KeyO','KeyP','BracketLeft','BracketRight'],
+    ['Numpad7','Numpad8','Numpad9'],
+    ['Delete','End','PageDown'],
+  ],
+  [
+    ['Backquote','Digit1','Digit2','Digit3','Digit4','Digit5','Digit6','Digit7','Digit8','Digit9','Digit0','Minus','Equal','Backspace'],
+    ['NumLock','NumpadDivide','NumpadMultiply','NumpadSubtract'],
+    ['Insert','Home','PageUp'],
+  ],
+  [
+    ['Escape','F1','F2','F3','F4','F5','F6','F7','F8','F9','F10','F11','F12','F13','F14','F15'],
+    ['PrintScreen','ScrollLock','Pause'],
+  ],
+];
+
+const KEY_POSITIONS = new Map();
+KEY_ROWS.forEach((runs, row) => {
+  for (const run of runs) {
+    run.forEach((code, column) => KEY_POSITIONS.set(code, { row, column }));
+  }
+});
+
+// { row, column } for a key code, or null for keys not on the map
+function keyPosition(code) {
+  return KEY_POSITIONS.get(code) || null;
+}
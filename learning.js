@@ -0,0 +1,81 @@
+// Florence's Games - Learning Mode
+// When a grown-up turns it on, letter and number keys show their character
+// big and colourful and say it aloud ("F is for fish") with the browser's
+// speech synthesis. The zone animations still play underneath. Parents can
+// swap any letter's word from the settings page.
+'use strict';
+
+const LEARNING_WORDS = {
+  A: 'apple', B: 'ball', C: 'cat', D: 'dog', E: 'elephant', F: 'fish',
+  G: 'giraffe', H: 'hat', I: 'ice cream', J: 'jelly', K: 'kite', L: 'lion',
+  M: 'moon', N: 'nest', O: 'owl', P: 'penguin', Q: 'queen', R: 'rainbow',
+  S: 'sun', T: 'tiger', U: 'umbrella', V: 'van', W: 'whale', X: 'xylophone',
+  Y: 'yo-yo', Z: 'zebra',
+};
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+function isLearningMode() {
+  return settings.learningMode;
+}
+
+// 'KeyF' -> 'F', 'Digit3' or 'Numpad3' -> '3', anything else -> null
+function learningChar(code) {
+  let match = /^Key([A-Z])$/.exec(code);
+  if (match) return match[1];
+  match = /^(?:Digit|Numpad)([0-9])$/.exec(code);
+  return match ? match[1] : null;
+}
+
+function learningWord(char) {
+  return settings.learningWords[char] || LEARNING_WORDS[char] || '';
+}
+
+function learningPhrase(char) {
+  if (/[0-9]/.test(char)) return NUMBER_WORDS[Number(char)];
+  const word = learningWord(char);
+  return word ? `${char} is for ${word}` : char;
+}
+
+// Every character keeps its own colour, so F is always the same orange
+function learningColour(char) {
+  const index = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'.indexOf(char);
+  return `hsl(${(index * 47) % 360}, 85%, 55%)`;
+}
+
+// ===== SPEECH =====
+// A new character cuts off the last one, so bashing never builds a queue
+function sayAloud(text) {
+  if (!window.speechSynthesis || settings.muted) return;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.rate = 0.85;
+  utterance.pitch = 1.2;
+  utterance.volume = settings.volume;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+}
+
+// Shows nothing and says nothing unless learning mode is on. Returns the
+// character for the page to draw, or null.
+function learnKey(code) {
+  if (!isLearningMode()) return null;
+  const char = learningChar(code);
+  if (char) sayAloud(learningPhrase(char));
+  return char;
+}
+
+// ===== DRAWING =====
+function drawLearningChar(ctx, char, x, y, size, alpha = 1) {
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.font = `bold ${size}px 'Comic Sans MS', 'Chalkboard SE', cursive`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(4, size / 12);
+  ctx.strokeStyle = '#FFF';
+  ctx.strokeText(char, x, y);
+  ctx.fillStyle = learningColour(char);
+  ctx.fillText(char, x, y);
+  ctx.restore();
+}
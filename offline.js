@@ -0,0 +1,11 @@
+// Florence's Games - Offline Support
+// Registers the service worker (sw.js) that keeps every game available
+// without a network. Browsers only allow it over https or on localhost, so
+// opening the files straight from disk simply skips it.
+'use strict';
+
+if ('serviceWorker' in navigator && window.isSecureContext) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch(() => {});
+  });
+}
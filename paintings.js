@@ -0,0 +1,176 @@
+// Florence's Games - Painting Store
+// Splash paintings kept in IndexedDB, so a picture survives a reload and can
+// be browsed, downloaded and deleted from the grown-ups' gallery. Each record
+// holds the paint layer on its own (to carry on painting), the finished
+// picture with its paper background (to download) and a small thumbnail.
+// The thumbnail and dates are also kept in a store of their own, so the
+// gallery and the autosave's pruning never have to load the full-size images.
+'use strict';
+
+const PAINTINGS_DB = 'florence-paintings';
+const PAINTINGS_STORE = 'paintings';
+const THUMBS_STORE = 'thumbnails';
+const MAX_PAINTINGS = 100; // oldest are dropped beyond this
+const THUMB_WIDTH = 320;
+
+let paintingsDb = null;
+
+function openPaintingsDb() {
+  if (paintingsDb) return paintingsDb;
+  paintingsDb = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(PAINTINGS_DB, 2);
+    request.onupgradeneeded = (e) => {
+      const db = request.result;
+      if (e.oldVersion < 1) {
+        const store = db.createObjectStore(PAINTINGS_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('updated', 'updated');
+      }
+      if (e.oldVersion < 2) {
+        const thumbs = db.createObjectStore(THUMBS_STORE, { keyPath: 'id' });
+        thumbs.createIndex('updated', 'updated');
+        // Paintings saved before the thumbnails had a store of their own
+        const cursor = request.transaction.objectStore(PAINTINGS_STORE).openCursor();
+        cursor.onsuccess = () => {
+          if (!cursor.result) return;
+          thumbs.put(thumbRecord(cursor.result.value));
+          cursor.result.continue();
+        };
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return paintingsDb;
+}
+
+// Runs fn against the paintings and thumbnails stores in one transaction and
+// resolves with the result of the request it returns, once the transaction
+// has committed
+async function withPaintings(mode, fn) {
+  const db = await openPaintingsDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([PAINTINGS_STORE, THUMBS_STORE], mode);
+    const request = fn(tx.objectStore(PAINTINGS_STORE), tx.objectStore(THUMBS_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function thumbRecord({ id, created, updated, thumbnail }) {
+  return { id, created, updated, thumbnail };
+}
+
+// Resolves with the painting's id, which is new if the record had none
+function putPainting(record) {
+  return withPaintings('readwrite', (store, thumbs) => {
+    const request = store.put(record);
+    request.onsuccess = () => thumbs.put(thumbRecord({ ...record, id: request.result }));
+    return request;
+  });
+}
+
+function getPainting(id) {
+  return withPaintings('readonly', store => store.get(id));
+}
+
+function deletePainting(id) {
+  return withPaintings('readwrite', (store, thumbs) => {
+    thumbs.delete(id);
+    return store.delete(id);
+  });
+}
+
+// Thumbnails and dates only, newest first; getPainting has the full images
+async function listPaintings() {
+  const all = await withPaintings('readonly', (store, thumbs) => thumbs.getAll());
+  return all.sort((a, b) => b.updated - a.updated);
+}
+
+// Counts, then walks the oldest keys, so no painting is loaded to drop it
+function prunePaintings() {
+  return withPaintings('readwrite', (store, thumbs) => {
+    const count = thumbs.count();
+    count.onsuccess = () => {
+      let extra = count.result - MAX_PAINTINGS;
+      if (extra <= 0) return;
+      const oldest = thumbs.index('updated').openKeyCursor();
+      oldest.onsuccess = () => {
+        if (!oldest.result || extra-- <= 0) return;
+        store.delete(oldest.result.primaryKey);
+        thumbs.delete(oldest.result.primaryKey);
+        oldest.result.continue();
+      };
+    };
+    return count;
+  });
+}
+
+// ===== IMAGES =====
+function canvasToBlob(canvas, type = 'image/png', quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
+  });
+}
+
+// Builds a record's images from the paper and paint layers
+async function paintingImages(bgCanvas, paintCanvas) {
+  const w = paintCanvas.width;
+  const h = paintCanvas.height;
+  const full = document.createElement('canvas');
+  full.width = w;
+  full.height = h;
+  const fullCtx = full.getContext('2d');
+  fullCtx.drawImage(bgCanvas, 0, 0, w, h);
+  fullCtx.drawImage(paintCanvas, 0, 0);
+
+  const thumb = document.createElement('canvas');
+  thumb.width = THUMB_WIDTH;
+  thumb.height = Math.round(THUMB_WIDTH * h / w);
+  thumb.getContext('2d').drawImage(full, 0, 0, thumb.width, thumb.height);
+
+  const [paint, image, thumbnail] = await Promise.all([
+    canvasToBlob(paintCanvas),
+    canvasToBlob(full),
+    canvasToBlob(thumb, 'image/jpeg', 0.8),
+  ]);
+  return { paint, image, thumbnail, width: w, height: h };
+}
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not load image'));
+    };
+    img.src = url;
+  });
+}
+
+function paintingFilename(record) {
+  const d = new Date(record.created);
+  const pad = n => String(n).padStart(2, '0');
+  return `florence-painting-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+    `-${pad(d.getHours())}${pad(d.getMinutes())}.png`;
+}
+
+function downloadPainting(record) {
+  const url = URL.createObjectURL(record.image);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = paintingFilename(record);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
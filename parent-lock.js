@@ -0,0 +1,346 @@
+// Florence's Games - Parent Lock
+// The one way out of a game, shared by every page. A grown-up holds
+// Ctrl + Alt + P for three seconds (or presses and holds the top-right corner
+// of the screen), answers a sum, and gets the parent menu. Loaded after
+// input.js, which it pauses while the lock is open. The settings page loads
+// it on its own and uses requireParent() as a gate. Needs profiles.js for the
+// child switcher.
+'use strict';
+
+const PARENT_CHORD = ['ControlLeft', 'AltLeft', 'KeyP'];
+const PARENT_HOLD_MS = 3000;
+const PARENT_CORNER_SIZE = 80; // px, square in the top-right corner
+const PARENT_IDLE_MS = 30000;  // an unanswered lock closes itself
+const PARENT_MAX_TRIES = 3;
+const PARENT_PASS_KEY = 'florence-parent-pass';
+const PARENT_PASS_MS = 60000;  // how long a passed check also opens settings
+
+// null while a child is playing, then 'check' -> 'menu'. 'unlocked' means a
+// grown-up chose to leave, so nothing should hold the page open any more.
+let parentMode = null;
+let parentHoldTimer = null;
+let parentIdleTimer = null;
+let parentAnswer = 0;
+let parentTries = 0;
+let cornerPointer = null;
+let parentOnPass = openParentMenu;
+let parentOnCancel = closeParentLock;
+const parentOpenHandlers = [];
+const parentResumeHandlers = [];
+const chordHeld = new Set();
+
+function isParentMode() {
+  return parentMode !== null;
+}
+
+// Pages without a game have no input.js to pause or fullscreen to restore
+function setGameInputPaused(paused) {
+  if (typeof pauseInput === 'function') pauseInput(paused);
+}
+
+// A passed check is remembered briefly so the parent menu's Settings button
+// doesn't ask again
+function grantParentPass() {
+  try {
+    sessionStorage.setItem(PARENT_PASS_KEY, String(Date.now()));
+  } catch (err) {}
+}
+
+function hasParentPass() {
+  try {
+    return Date.now() - Number(sessionStorage.getItem(PARENT_PASS_KEY)) < PARENT_PASS_MS;
+  } catch (err) {
+    return false;
+  }
+}
+
+// handler runs when the lock opens over a game, before the adult check
+function onParentOpen(handler) {
+  parentOpenHandlers.push(handler);
+}
+
+// handler runs when a grown-up sends the child back to play from the menu,
+// by Keep playing or by switching child (session.js lifts its goodbye)
+function onParentResume(handler) {
+  parentResumeHandlers.push(handler);
+}
+
+function resumeFromParentMenu() {
+  closeParentLock();
+  parentResumeHandlers.forEach(handler => handler());
+}
+
+// Asks the adult check, then calls onPass or onCancel instead of the menu
+function requireParent(onPass, onCancel) {
+  parentOnPass = onPass;
+  parentOnCancel = onCancel;
+  openParentCheck();
+}
+
+// ===== SECRET GESTURES =====
+function startParentHold() {
+  if (isParentMode() || parentHoldTimer) return;
+  getParentOverlay().classList.add('holding');
+  parentHoldTimer = setTimeout(openParentCheck, PARENT_HOLD_MS);
+}
+
+function cancelParentHold() {
+  if (!parentHoldTimer) return;
+  clearTimeout(parentHoldTimer);
+  parentHoldTimer = null;
+  getParentOverlay().classList.remove('holding');
+}
+
+// Window capture runs before input.js's document listeners, so the chord is
+// seen even though the game swallows the keys
+window.addEventListener('keydown', (e) => {
+  if (isParentMode()) return;
+  chordHeld.add(e.code);
+  if (PARENT_CHORD.every(code => chordHeld.has(code))) startParentHold();
+}, { capture: true });
+
+window.addEventListener('keyup', (e) => {
+  chordHeld.delete(e.code);
+  if (PARENT_CHORD.includes(e.code)) cancelParentHold();
+}, { capture: true });
+
+window.addEventListener('blur', () => {
+  chordHeld.clear();
+  cancelParentHold();
+});
+
+function inParentCorner(e) {
+  return e.clientX >= window.innerWidth - PARENT_CORNER_SIZE && e.clientY <= PARENT_CORNER_SIZE;
+}
+
+function endCornerHold(e) {
+  if (e.pointerId !== cornerPointer) return;
+  cornerPointer = null;
+  cancelParentHold();
+}
+
+window.addEventListener('pointerdown', (e) => {
+  if (isParentMode() || cornerPointer !== null || !inParentCorner(e)) return;
+  cornerPointer = e.pointerId;
+  startParentHold();
+}, { capture: true });
+
+window.addEventListener('pointermove', (e) => {
+  if (e.pointerId === cornerPointer && !inParentCorner(e)) endCornerHold(e);
+}, { capture: true });
+
+window.addEventListener('pointerup', endCornerHold, { capture: true });
+window.addEventListener('pointercancel', endCornerHold, { capture: true });
+
+// ===== OVERLAY =====
+const PARENT_STYLE = `
+  #parent-lock {
+    position: fixed; inset: 0; z-index: 10000;
+    display: flex; align-items: center; justify-content: center;
+    font-family: 'Comic Sans MS', 'Chalkboard SE', cursive, sans-serif;
+    pointer-events: none;
+  }
+  #parent-lock .hold-ring {
+    position: absolute; top: 12px; right: 12px;
+    width: 40px; height: 40px; border-radius: 50%;
+    border: 4px solid rgba(255,255,255,0.8);
+    opacity: 0; transform: scale(0.2);
+  }
+  #parent-lock.holding .hold-ring {
+    opacity: 1; transform: scale(1);
+    transition: opacity ${PARENT_HOLD_MS}ms linear, transform ${PARENT_HOLD_MS}ms linear;
+  }
+  #parent-lock .panel {
+    display: none;
+    background: #fff; color: #333;
+    border-radius: 24px; padding: 2rem 2.5rem;
+    min-width: 300px; text-align: center;
+    box-shadow: 0 16px 48px rgba(0,0,0,0.4);
+  }
+  #parent-lock.open {
+    background: rgba(0,0,0,0.6);
+    pointer-events: auto; cursor: auto;
+  }
+  #parent-lock.open .panel { display: block; }
+  #parent-lock h2 { font-size: 1.5rem; margin-bottom: 0.8rem; color: #764ba2; }
+  #parent-lock p { margin-bottom: 1rem; }
+  #parent-lock input {
+    font: inherit; font-size: 1.5rem; width: 6rem; text-align: center;
+    padding: 0.3rem; border: 3px solid #ccc; border-radius: 12px;
+    margin-bottom: 1rem; user-select: text; -webkit-user-select: text;
+  }
+  #parent-lock .buttons { display: flex; flex-direction: column; gap: 0.6rem; }
+  #parent-lock button {
+    font: inherit; font-size: 1.1rem; cursor: pointer;
+    padding: 0.6rem 1.4rem; border-radius: 999px;
+    border: 3px solid #764ba2; background: #fff; color: #764ba2;
+  }
+  #parent-lock button.primary { background: #764ba2; color: #fff; }
+  #parent-lock .note { font-size: 0.9rem; color: #888; min-height: 1.2em; }
+`;
+
+let parentOverlay = null;
+
+function getParentOverlay() {
+  if (parentOverlay) return parentOverlay;
+  const style = document.createElement('style');
+  style.textContent = PARENT_STYLE;
+  document.head.appendChild(style);
+
+  parentOverlay = document.createElement('div');
+  parentOverlay.id = 'parent-lock';
+  parentOverlay.innerHTML = `
+    <div class="hold-ring"></div>
+    <div class="panel"></div>`;
+  document.body.appendChild(parentOverlay);
+  return parentOverlay;
+}
+
+function showParentPanel(html) {
+  const overlay = getParentOverlay();
+  overlay.classList.remove('holding');
+  overlay.classList.add('open');
+  overlay.querySelector('.panel').innerHTML = html;
+  return overlay.querySelector('.panel');
+}
+
+function resetParentIdle(onIdle = closeParentLock) {
+  clearTimeout(parentIdleTimer);
+  parentIdleTimer = setTimeout(onIdle, PARENT_IDLE_MS);
+}
+
+function cancelParentCheck() {
+  clearTimeout(parentIdleTimer);
+  parentOnCancel();
+}
+
+// ===== ADULT CHECK =====
+function openParentCheck(note = '') {
+  parentHoldTimer = null;
+  if (parentMode !== 'check') {
+    parentTries = 0;
+    parentOpenHandlers.forEach(handler => handler());
+  }
+  parentMode = 'check';
+  setGameInputPaused(true);
+
+  const a = 6 + Math.floor(Math.random() * 4);
+  const b = 6 + Math.floor(Math.random() * 4);
+  parentAnswer = a + b;
+
+  const panel = showParentPanel(`
+    <h2>Grown-ups only</h2>
+    <p>What is ${a} + ${b}?</p>
+    <input type="text" inputmode="numeric" autocomplete="off" aria-label="Answer">
+    <p class="note">${note}</p>
+    <div class="buttons">
+      <button class="primary" data-action="check">OK</button>
+      <button data-action="close">Cancel</button>
+    </div>`);
+  const input = panel.querySelector('input');
+  input.addEventListener('keydown', (e) => {
+    resetParentIdle(cancelParentCheck);
+    if (e.key === 'Enter') checkParentAnswer(input.value);
+    if (e.key === 'Escape') cancelParentCheck();
+  });
+  panel.querySelector('[data-action="check"]').addEventListener('click', () => checkParentAnswer(input.value));
+  panel.querySelector('[data-action="close"]').addEventListener('click', cancelParentCheck);
+  input.focus();
+  resetParentIdle(cancelParentCheck);
+}
+
+function checkParentAnswer(value) {
+  if (parseInt(value, 10) === parentAnswer) {
+    clearTimeout(parentIdleTimer);
+    grantParentPass();
+    parentOnPass();
+    return;
+  }
+  parentTries++;
+  if (parentTries >= PARENT_MAX_TRIES) {
+    cancelParentCheck();
+    return;
+  }
+  openParentCheck('Not quite - try this one.');
+}
+
+// ===== PARENT MENU =====
+function openParentMenu() {
+  parentMode = 'menu';
+  const panel = showParentPanel(`
+    <h2>Parent menu</h2>
+    <div class="buttons">
+      <button class="primary" data-action="resume">Keep playing</button>
+      ${profiles.list.length > 1 ? '<button data-action="child">Switch child</button>' : ''}
+      <button data-action="games">Back to games</button>
+      <button data-action="settings">Settings</button>
+      <button data-action="exit">Exit</button>
+    </div>
+    <p class="note"></p>`);
+  panel.querySelector('[data-action="resume"]').addEventListener('click', resumeFromParentMenu);
+  panel.querySelector('[data-action="games"]').addEventListener('click', () => leaveGame('index.html'));
+  panel.querySelector('[data-action="settings"]').addEventListener('click', () => leaveGame('settings.html'));
+  panel.querySelector('[data-action="exit"]').addEventListener('click', exitGames);
+  const child = panel.querySelector('[data-action="child"]');
+  if (child) child.addEventListener('click', openChildPicker);
+  resetParentIdle();
+}
+
+// Names are typed by grown-ups, so the buttons are built without innerHTML
+function openChildPicker() {
+  const panel = showParentPanel(`
+    <h2>Who's playing?</h2>
+    <div class="buttons"></div>`);
+  const buttons = panel.querySelector('.buttons');
+  for (const profile of profiles.list) {
+    const button = document.createElement('button');
+    button.textContent = profile.name;
+    button.style.borderColor = profile.colour;
+    if (profile.id === profiles.active) button.className = 'primary';
+    button.addEventListener('click', () => {
+      setActiveProfile(profile.id);
+      resumeFromParentMenu();
+    });
+    buttons.appendChild(button);
+  }
+  resetParentIdle();
+}
+
+function closeParentLock() {
+  clearTimeout(parentIdleTimer);
+  parentMode = null;
+  getParentOverlay().classList.remove('open');
+  setGameInputPaused(false);
+  if (typeof started !== 'undefined' && started) enterFullscreen();
+}
+
+function leaveGame(url) {
+  clearTimeout(parentIdleTimer);
+  parentMode = 'unlocked';
+  window.location.href = url;
+}
+
+// Browsers only let scripts close windows they opened, so if close() is
+// ignored we drop out of fullscreen and leave the tab for the grown-up
+function exitGames() {
+  clearTimeout(parentIdleTimer);
+  parentMode = 'unlocked';
+  try {
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    else if (document.webkitFullscreenElement) document.webkitExitFullscreen();
+  } catch (err) {}
+  window.close();
+  const panel = getParentOverlay().querySelector('.panel');
+  panel.querySelector('.buttons').remove();
+  panel.querySelector('.note').textContent = 'All done - you can close this tab now.';
+}
+
+// ===== LEAVING THE PAGE =====
+// Asks before the page unloads, unless a grown-up unlocked the way out
+function guardAgainstLeaving() {
+  window.addEventListener('beforeunload', (e) => {
+    if (parentMode === 'unlocked') return;
+    e.preventDefault();
+    e.returnValue = '';
+  });
+}
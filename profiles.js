@@ -0,0 +1,114 @@
+// Florence's Games - Child Profiles
+// Who is playing. Each child has a name, a favourite colour and avatar
+// colours for the garden character. The active child's name is drawn in the
+// games and used in every title, and a grown-up can switch child from the
+// launcher, the parent menu or the settings page.
+'use strict';
+
+const PROFILES_KEY = 'florence-profiles';
+const MAX_PROFILES = 6;
+// Each child's garden is saved under this plus their id (garden.html), and
+// goes when they do
+const GARDEN_SAVE_PREFIX = 'florence-garden-';
+
+const DEFAULT_AVATAR = {
+  skin: '#F5C6A0',
+  hair: '#8B5E3C',
+  dress: '#FF85A2',
+  trim: '#FF6B8A',
+  shoes: '#FF69B4',
+};
+
+// birthday is 'YYYY-MM-DD' or '' and brings on the birthday theme (themes.js)
+const DEFAULT_PROFILE = { id: 'florence', name: 'Florence', colour: '#FF85A2', birthday: '', avatar: DEFAULT_AVATAR };
+
+// Fills in anything a saved profile is missing, so older saves keep working
+function loadProfiles() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+  } catch (err) {}
+  const list = (saved && Array.isArray(saved.list) && saved.list.length ? saved.list : [DEFAULT_PROFILE])
+    .map(p => ({ ...DEFAULT_PROFILE, ...p, avatar: { ...DEFAULT_AVATAR, ...p.avatar } }));
+  const active = saved && list.some(p => p.id === saved.active) ? saved.active : list[0].id;
+  return { list, active };
+}
+
+const profiles = loadProfiles();
+
+function saveProfiles() {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch (err) {}
+}
+
+function activeProfile() {
+  return profiles.list.find(p => p.id === profiles.active) || profiles.list[0];
+}
+
+function childName() {
+  return activeProfile().name;
+}
+
+// "Florence's Garden"
+function childTitle(suffix) {
+  return `${childName()}'s ${suffix}`;
+}
+
+function setActiveProfile(id) {
+  if (!profiles.list.some(p => p.id === id)) return;
+  profiles.active = id;
+  saveProfiles();
+  applyProfileTitles();
+}
+
+function addProfile(name) {
+  if (profiles.list.length >= MAX_PROFILES) return null;
+  const profile = {
+    ...DEFAULT_PROFILE,
+    id: `child-${Date.now().toString(36)}`,
+    name,
+    avatar: { ...DEFAULT_AVATAR },
+  };
+  profiles.list.push(profile);
+  saveProfiles();
+  return profile;
+}
+
+function updateProfile(id, changes) {
+  const profile = profiles.list.find(p => p.id === id);
+  if (!profile) return;
+  Object.assign(profile, changes);
+  saveProfiles();
+  if (id === profiles.active) applyProfileTitles();
+}
+
+// The last child can't be removed; someone always has to be playing
+function removeProfile(id) {
+  if (profiles.list.length <= 1) return;
+  profiles.list = profiles.list.filter(p => p.id !== id);
+  if (profiles.active === id) profiles.active = profiles.list[0].id;
+  saveProfiles();
+  try {
+    localStorage.removeItem(GARDEN_SAVE_PREFIX + id);
+  } catch (err) {}
+  applyProfileTitles();
+}
+
+// ===== TITLES =====
+// Markup opts in: data-child-title="Garden" reads "Florence's Garden" and
+// data-child-name holds just the name. Works on <title> too.
+function applyProfileTitles() {
+  document.querySelectorAll('[data-child-title]').forEach(el => {
+    el.textContent = childTitle(el.dataset.childTitle);
+  });
+  document.querySelectorAll('[data-child-name]').forEach(el => {
+    el.textContent = childName();
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', applyProfileTitles);
+} else {
+  applyProfileTitles();
+}
@@ -0,0 +1,130 @@
+// Florence's Games - Session Timer
+// Limits play to the session length chosen in the grown-ups' settings. Over
+// the last stretch each game winds its scene down (pages call updateSession()
+// from their game loop and use the 0-1 amount it returns), then a calm
+// goodbye screen takes over and swallows input until a grown-up opens the
+// parent lock and picks Keep playing. The start time is kept for the tab in
+// sessionStorage, so going back to the launcher, into another game or
+// reloading doesn't reset the clock.
+'use strict';
+
+const WIND_DOWN_MAX_MS = 2 * 60 * 1000;
+const WIND_DOWN_SHARE = 0.2; // never more than this fraction of the session
+const SESSION_START_KEY = 'florence-session-start';
+
+let sessionStart = loadSessionStart();
+let sessionEnded = false;
+let sessionWindDown = 0;
+const sessionEndHandlers = [];
+
+function loadSessionStart() {
+  try {
+    const saved = Number(sessionStorage.getItem(SESSION_START_KEY));
+    return saved > 0 ? saved : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function setSessionStart(time) {
+  sessionStart = time;
+  try {
+    sessionStorage.setItem(SESSION_START_KEY, String(time));
+  } catch (err) {}
+}
+
+function isWindingDown() {
+  return sessionWindDown > 0;
+}
+
+// Call once per frame. Returns 0 while playing normally, rising to 1 as the
+// session runs out; the clock starts with the first key or touch.
+function updateSession() {
+  const limit = settings.sessionMinutes * 60 * 1000;
+  if (!limit || !started) return 0;
+  if (sessionStart === null) setSessionStart(Date.now());
+  if (sessionEnded) return sessionWindDown;
+
+  const remaining = limit - (Date.now() - sessionStart);
+  const windDownMs = Math.min(WIND_DOWN_MAX_MS, limit * WIND_DOWN_SHARE);
+  sessionWindDown = Math.min(1, Math.max(0, 1 - remaining / windDownMs));
+  if (remaining <= 0) endSession();
+  return sessionWindDown;
+}
+
+// handler runs as the goodbye screen comes up, for anything a game keeps
+// playing on its own
+function onSessionEnd(handler) {
+  sessionEndHandlers.push(handler);
+}
+
+function endSession() {
+  sessionEnded = true;
+  sessionWindDown = 1;
+  ignoreInput(true);
+  const screen = getGoodbyeScreen();
+  // Set each time, since a grown-up may have switched child since the last one
+  screen.querySelector('.subtitle').textContent = `Bye bye, ${childName()}. See you next time.`;
+  screen.classList.add('shown');
+  sessionEndHandlers.forEach(handler => handler());
+}
+
+// Keep playing in the parent menu starts a fresh session on this page
+onParentResume(() => {
+  if (sessionEnded) restartSession();
+});
+
+function restartSession() {
+  setSessionStart(Date.now());
+  sessionEnded = false;
+  sessionWindDown = 0;
+  ignoreInput(false);
+  getGoodbyeScreen().classList.remove('shown');
+}
+
+// ===== GOODBYE SCREEN =====
+const GOODBYE_STYLE = `
+  #goodbye-screen {
+    position: fixed; inset: 0; z-index: 9000;
+    display: flex; flex-direction: column; align-items: center; justify-content: center;
+    gap: 2vh;
+    background: radial-gradient(ellipse at 50% 30%, #1a237e 0%, #0d1333 70%, #05081a 100%);
+    color: #E8EAF6;
+    font-family: 'Comic Sans MS', 'Chalkboard SE', cursive, sans-serif;
+    text-align: center;
+    opacity: 0; pointer-events: none;
+    transition: opacity 3s ease;
+    cursor: none;
+  }
+  #goodbye-screen.shown { opacity: 1; pointer-events: auto; }
+  #goodbye-screen .moon {
+    font-size: clamp(4rem, 12vw, 9rem);
+    animation: goodbyeFloat 6s ease-in-out infinite;
+  }
+  #goodbye-screen .title { font-size: clamp(2rem, 5vw, 4rem); }
+  #goodbye-screen .subtitle { font-size: clamp(1rem, 2.5vw, 1.8rem); opacity: 0.75; }
+  @keyframes goodbyeFloat {
+    0%, 100% { transform: translateY(0) rotate(-4deg); }
+    50% { transform: translateY(-12px) rotate(4deg); }
+  }
+`;
+
+let goodbyeScreen = null;
+
+function getGoodbyeScreen() {
+  if (goodbyeScreen) return goodbyeScreen;
+  const style = document.createElement('style');
+  style.textContent = GOODBYE_STYLE;
+  document.head.appendChild(style);
+
+  goodbyeScreen = document.createElement('div');
+  goodbyeScreen.id = 'goodbye-screen';
+  // The child's name is typed by a grown-up, so it goes in as textContent
+  // (see endSession)
+  goodbyeScreen.innerHTML = `
+    <div class="moon">🌙</div>
+    <div class="title">All done for now!</div>
+    <div class="subtitle"></div>`;
+  document.body.appendChild(goodbyeScreen);
+  return goodbyeScreen;
+}
@@ -0,0 +1,104 @@
+// Florence's Games - Shared Settings
+// Parent preferences, saved to localStorage and read by every page at startup.
+'use strict';
+
+const SETTINGS_KEY = 'florence-settings';
+
+const DEFAULT_SETTINGS = {
+  keyboardLayout: 'uk',
+  volume: 1,              // 0-1, scales each game's (already quiet) maximum
+  muted: false,
+  animation: 'normal',    // key of ANIMATION_SCALES
+  safeMode: 'auto',       // 'auto' follows the device's reduced-motion setting | 'on' | 'off'
+  theme: 'auto',          // 'auto' picks by date | 'none' | a key of THEMES (themes.js)
+  sessionMinutes: 0,      // 0 = no limit
+  games: { world: true, splash: true, ocean: true, garden: true },
+  worldZones: { left: true, right: true, space: true, special: true },
+  gardenIdleWave: 5,      // seconds before Florence waves
+  gardenIdleHint: 10,     // seconds before the arrow-key hint
+  oceanMaxEntities: 50,
+  splashCanvasMode: 'accumulate', // 'accumulate' | 'fade' | 'pageturn'
+  splashPageTurnStrokes: 40,
+  learningMode: false,    // letters and numbers shown and spoken
+  learningWords: {},      // letter -> word, overriding LEARNING_WORDS
+  musicBox: false,        // World: each key plays its own note
+  customCharacters: [],   // grown-ups' own parade characters (characters.js)
+};
+
+const ANIMATION_SCALES = { calm: 0.5, normal: 1, lively: 1.5 };
+
+// Merges one level deep, so a group like `games` picks up entries added
+// after the parent last saved
+function loadSettings() {
+  const loaded = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    for (const [key, value] of Object.entries(saved)) {
+      if (!(key in DEFAULT_SETTINGS)) continue;
+      const fallback = DEFAULT_SETTINGS[key];
+      if (fallback && typeof fallback === 'object') {
+        Object.assign(loaded[key], value);
+      } else {
+        loaded[key] = value;
+      }
+    }
+  } catch (err) {}
+  return loaded;
+}
+
+const settings = loadSettings();
+
+function saveSettings(changes) {
+  Object.assign(settings, changes);
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {}
+  return settings;
+}
+
+// A game's loudest gain after the parent's volume and mute
+function soundLevel(maxGain) {
+  return settings.muted ? 0 : maxGain * settings.volume;
+}
+
+// Scales a particle or spawn count by the animation intensity setting
+function animationAmount(count) {
+  const scale = ANIMATION_SCALES[settings.animation] || 1;
+  return Math.max(1, Math.round(count * scale));
+}
+
+// Safe mode is for children sensitive to motion or flicker: bright flashes
+// are dimmer and rarer (well under the three-a-second photosensitivity
+// limit), screens never shake, particles drift slower and twinkles become
+// gentle fades.
+const SAFE_FLASH_GAP = 1000;   // ms between bright flashes
+const SAFE_FLASH_ALPHA = 0.06; // brightest a flash overlay may get
+const SAFE_MOTION_SCALE = 0.4;
+
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+let lastFlashTime = -Infinity;
+
+function isSafeMode() {
+  if (settings.safeMode === 'on') return true;
+  if (settings.safeMode === 'off') return false;
+  return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+// Multiplies particle speeds and colour cycling
+function motionScale() {
+  return isSafeMode() ? SAFE_MOTION_SCALE : 1;
+}
+
+// Whether a flash may start now; in safe mode only one per SAFE_FLASH_GAP
+function allowFlash() {
+  if (!isSafeMode()) return true;
+  const now = performance.now();
+  if (now - lastFlashTime < SAFE_FLASH_GAP) return false;
+  lastFlashTime = now;
+  return true;
+}
+
+// Caps the opacity of a full-screen flash or colour wash
+function flashAlpha(alpha) {
+  return isSafeMode() ? Math.min(alpha, SAFE_FLASH_ALPHA) : alpha;
+}
@@ -0,0 +1,74 @@
+// Florence's Games - Service Worker
+// Precaches the whole site so the games work with no network at all. Each
+// deploy stamps CACHE_VERSION with the commit (see deploy.yml), which makes
+// the browser install the new worker; it fills a fresh cache, takes over and
+// deletes the old one. Each build's files come from one complete cache, but
+// a page left open across a deploy is taken over mid-session, so anything it
+// fetches after that comes from the new build.
+'use strict';
+
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'florence-games-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'world.html',
+  'splash.html',
+  'ocean.html',
+  'garden.html',
+  'settings.html',
+  'gallery.html',
+  'insights.html',
+  'style.css',
+  'game.js',
+  'settings.js',
+  'profiles.js',
+  'audio.js',
+  'layouts.js',
+  'input.js',
+  'parent-lock.js',
+  'session.js',
+  'learning.js',
+  'paintings.js',
+  'insights.js',
+  'games.js',
+  'themes.js',
+  'characters.js',
+  'offline.js',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+];
+
+self.addEventListener('install', (event) => {
+  // 'reload' skips the HTTP cache, so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache first: the precache holds every file the games need, so the network
+// is only a fallback for anything outside it
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(request, { ignoreSearch: true }))
+      .then(cached => cached || fetch(request))
+  );
+});
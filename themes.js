@@ -0,0 +1,152 @@
+// Florence's Games - Theme Packs
+// Seasonal looks laid over the everyday games. A theme only lists what it
+// changes; each game asks themed(key, itsOwnDefault) where a colour, shape
+// or decoration is chosen, so with no theme everything is as designed.
+// A grown-up can pick a theme in settings, or leave it on Automatic to get
+// one by date (and the birthday theme on the playing child's birthday).
+// Needs settings.js and profiles.js.
+'use strict';
+
+// Keys a theme may set:
+//   greeting           start-screen line; {name} becomes the child's name
+//   decorations        emoji drifting down behind each game
+//   palette            World dino colours and Splash stamp colours
+//   paradeCharacters   extra World parade characters (see characters.js)
+//   paradeHat          'santa' | 'witch' | 'party', worn by the parade
+//   stampShapes        Splash stamp shapes
+//   gardenSky          weather -> { top, bottom }, over getWeatherSkyColor
+//   gardenSnow         snow falls in the garden
+//   gardenSwaps        collectible type -> shape drawn in its place
+//   oceanTreasure      'presents' | 'sweets' | 'balloons' instead of coins
+const THEMES = {
+  christmas: {
+    name: 'Christmas',
+    description: 'Snow in the garden, presents in the treasure chest',
+    dates: ['12-01', '12-26'],
+    greeting: 'Merry Christmas, {name}!',
+    decorations: ['❄️', '🎄', '⭐', '🎁', '⛄'],
+    palette: ['#C62828', '#2E7D32', '#FFD700', '#1565C0', '#81C784'],
+    paradeHat: 'santa',
+    stampShapes: ['star', 'tree', 'present', 'snowflake'],
+    gardenSky: { sunny: { top: '#A9CCE3', bottom: '#EAF2F8' } },
+    gardenSnow: true,
+    gardenSwaps: { star: 'present' },
+    oceanTreasure: 'presents',
+  },
+  halloween: {
+    name: 'Halloween',
+    description: 'Friendly pumpkins in the parade and an orange evening sky',
+    dates: ['10-24', '10-31'],
+    greeting: 'Happy Halloween, {name}!',
+    decorations: ['🎃', '🦇', '👻', '🍬', '🌙'],
+    palette: ['#FF6F00', '#6A1B9A', '#43A047', '#FFB300', '#8E24AA'],
+    paradeCharacters: [
+      {
+        name: 'pumpkin', body: 'round', bodyColour: '#FF8F00', bellyColour: '#FFB74D', accentColour: '#2E7D32',
+        ears: 'stem', markings: 'ribs', walk: 'hop',
+        sound: { wave: 'triangle', from: 300, to: 450, length: 0.15, repeat: 2 },
+      },
+      {
+        name: 'pumpkin', body: 'wide', bodyColour: '#F57C00', bellyColour: '#FFA726', accentColour: '#33691E',
+        ears: 'stem', markings: 'ribs', walk: 'waddle',
+        sound: { wave: 'triangle', from: 250, to: 350, length: 0.2 },
+      },
+    ],
+    paradeHat: 'witch',
+    stampShapes: ['pumpkin', 'bat', 'star', 'circle'],
+    gardenSky: {
+      sunny: { top: '#FF8A50', bottom: '#FFD180' },
+      night: { top: '#1A0A2E', bottom: '#3A1A4E' },
+    },
+    gardenSwaps: { heart: 'pumpkin' },
+    oceanTreasure: 'sweets',
+  },
+  birthday: {
+    name: 'Birthday',
+    description: 'Party hats, balloons and cake, on the playing child\'s birthday',
+    greeting: 'Happy Birthday, {name}!',
+    decorations: ['🎈', '🎉', '🎂', '🎁', '⭐'],
+    palette: ['#E91E63', '#FFC107', '#03A9F4', '#8BC34A', '#9C27B0'],
+    paradeHat: 'party',
+    stampShapes: ['balloon', 'cake', 'star', 'heart'],
+    gardenSwaps: { cupcake: 'cake' },
+    oceanTreasure: 'balloons',
+  },
+};
+
+// 'MM-DD', which sorts and compares like the dates above
+function monthDay(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// settings.theme is 'auto', 'none' or a key of THEMES
+function activeThemeId() {
+  if (settings.theme !== 'auto') return THEMES[settings.theme] ? settings.theme : null;
+  const today = monthDay(new Date());
+  const birthday = activeProfile().birthday;
+  if (birthday && birthday.slice(5) === today) return 'birthday';
+  for (const [id, theme] of Object.entries(THEMES)) {
+    if (theme.dates && today >= theme.dates[0] && today <= theme.dates[1]) return id;
+  }
+  return null;
+}
+
+function currentTheme() {
+  const id = activeThemeId();
+  return id ? THEMES[id] : {};
+}
+
+function themed(key, fallback) {
+  const value = currentTheme()[key];
+  return value === undefined ? fallback : value;
+}
+
+function themeGreeting() {
+  const greeting = currentTheme().greeting;
+  return greeting ? greeting.replace('{name}', childName()) : '';
+}
+
+// ===== DECORATIONS =====
+const DECORATION_COUNT = 8;
+const DECORATION_SIZE = 28;
+const DECORATION_ALPHA = 0.35;
+
+// A few of the theme's emoji drifting down a canvas, behind the action.
+// t is in seconds; positions come from it alone, so there is nothing to
+// update or keep between frames.
+function drawThemeDecorations(ctx, w, h, t) {
+  const emoji = themed('decorations', null);
+  if (!emoji) return;
+  const drift = t * motionScale();
+  ctx.save();
+  ctx.globalAlpha = DECORATION_ALPHA;
+  ctx.font = `${DECORATION_SIZE}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (let i = 0; i < DECORATION_COUNT; i++) {
+    const speed = 0.03 + (i % 3) * 0.015;
+    const fall = (drift * speed + i * 0.37) % 1;
+    const x = ((i * 0.618 + 0.1) % 1) * w + Math.sin(drift * 0.5 + i) * 20;
+    const y = fall * (h + DECORATION_SIZE * 2) - DECORATION_SIZE;
+    ctx.fillText(emoji[i % emoji.length], x, y);
+  }
+  ctx.restore();
+}
+
+// ===== START SCREENS =====
+// Pages mark where the greeting goes with data-theme-greeting; it stays
+// hidden when there is no theme
+function applyThemeGreeting() {
+  const greeting = themeGreeting();
+  document.querySelectorAll('[data-theme-greeting]').forEach(el => {
+    el.textContent = greeting;
+    el.hidden = !greeting;
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', applyThemeGreeting);
+} else {
+  applyThemeGreeting();
+}